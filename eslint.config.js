@@ -26,4 +26,16 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['src/serviceWorker.js'],
+    languageOptions: {
+      globals: { ...globals.serviceworker, __PRECACHE_MANIFEST__: 'readonly' },
+    },
+  },
 ])
@@ -0,0 +1,172 @@
+// server/syncServer.js
+
+// Ortak sayım için küçük senkronizasyon sunucusu. Harici bağımlılığı yoktur; kütüphane ağındaki
+// herhangi bir bilgisayarda `npm run sync-server` ile çalıştırılabilir.
+//
+//   GET  /sessions/:isim/events  — Server-Sent Events akışı: önce 'snapshot' (tüm okutmalar ve
+//                                  silinen kayıt kimlikleri), ardından gelen 'changes' olayları
+//   POST /sessions/:isim/changes — { deviceId, added, removedIds, clear } değişikliklerini kaydeder
+//   GET  /health                 — sunucu ayakta mı
+//
+// Oturum uçları SYNC_TOKEN ile belirlenen ortak erişim anahtarını ister: POST isteklerinde
+// `Authorization: Bearer <anahtar>` başlığı, EventSource başlık gönderemediği için akışta `?token=`.
+// SYNC_TOKEN verilmezse her başlatmada rastgele bir anahtar üretilip konsola yazılır.
+// Uygulama HTTPS ile sunulduğundan tarayıcılar http:// sunucusuna bağlanmaz (karışık içerik);
+// SYNC_TLS_CERT ve SYNC_TLS_KEY (PEM dosya yolları) verilirse sunucu HTTPS ile çalışır.
+//
+// Okutmalar oturum başına SYNC_DATA_DIR (varsayılan: ./sync-data) altında JSON dosyasına yazılır.
+// Silinen kayıtların kimlikleri de saklanır; böylece çevrimdışı kalan bir cihaz yeniden bağlandığında
+// başka cihazda silinmiş kayıtları sunucuya geri göndermez.
+
+import http from 'node:http';
+import https from 'node:https';
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { promises as fs, readFileSync } from 'node:fs';
+import path from 'node:path';
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || 'sync-data');
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const HEARTBEAT_MS = 25000;
+const SAVE_DELAY_MS = 1000;
+const TOKEN = process.env.SYNC_TOKEN || randomBytes(12).toString('base64url');
+const TLS_CERT = process.env.SYNC_TLS_CERT;
+const TLS_KEY = process.env.SYNC_TLS_KEY;
+
+// isim -> yükleme sözü; { scans: Map(id -> kayıt), removed: Set(id), clients: Set(res), saveTimer } ile çözülür.
+// Söz haritaya hemen konur; böylece dosya okunurken gelen istekler aynı yüklemeyi bekler.
+const sessions = new Map();
+
+const sessionFile = (name) => path.join(DATA_DIR, `${encodeURIComponent(name)}.json`);
+
+const loadSession = async (name) => {
+    const session = { scans: new Map(), removed: new Set(), clients: new Set(), saveTimer: null };
+    let content;
+    try {
+        content = await fs.readFile(sessionFile(name), 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return session;
+        throw err;
+    }
+    // Bozuk dosyada boş oturumla devam edilmez; aksi halde ilk kayıtta dosyadaki okutmaların üzerine yazılırdı
+    const { scans = [], removedIds = [] } = JSON.parse(content);
+    scans.forEach(record => session.scans.set(record.id, record));
+    removedIds.forEach(id => session.removed.add(id));
+    return session;
+};
+
+const getSession = (name) => {
+    if (!sessions.has(name)) {
+        const loading = loadSession(name).catch(err => {
+            // Sonraki istek (ör. dosya düzeltildikten sonra) yeniden denesin
+            sessions.delete(name);
+            console.error(`"${name}" oturum dosyası okunamadı:`, err.message);
+            throw Object.assign(new Error('Oturum dosyası okunamadı.'), { status: 500 });
+        });
+        sessions.set(name, loading);
+    }
+    return sessions.get(name);
+};
+
+const scheduleSave = (name, session) => {
+    clearTimeout(session.saveTimer);
+    session.saveTimer = setTimeout(async () => {
+        try {
+            await fs.mkdir(DATA_DIR, { recursive: true });
+            await fs.writeFile(sessionFile(name), JSON.stringify({ scans: [...session.scans.values()], removedIds: [...session.removed] }));
+        } catch (err) {
+            console.error(`"${name}" oturumu kaydedilemedi:`, err.message);
+        }
+    }, SAVE_DELAY_MS);
+};
+
+const sendEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) { reject(Object.assign(new Error('İstek çok büyük.'), { status: 413 })); req.destroy(); return; }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); } catch { reject(Object.assign(new Error('Geçersiz JSON.'), { status: 400 })); }
+    });
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+};
+
+// Karşılaştırma sabit sürede yapılır; özetler eşit uzunlukta olduğu için timingSafeEqual hata vermez
+const digest = (value) => createHash('sha256').update(value).digest();
+const isAuthorized = (req, url) => {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : (url.searchParams.get('token') || '');
+    return given !== '' && timingSafeEqual(digest(given), digest(TOKEN));
+};
+
+const handleEvents = async (req, res, name) => {
+    const session = await getSession(name);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    sendEvent(res, 'snapshot', { scans: [...session.scans.values()], removedIds: [...session.removed] });
+    session.clients.add(res);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => { clearInterval(heartbeat); session.clients.delete(res); });
+};
+
+const handleChanges = async (req, res, name) => {
+    const { deviceId = '', added = [], removedIds = [], clear = false } = await readJsonBody(req);
+    if (!Array.isArray(added) || !Array.isArray(removedIds) || added.some(record => !record || typeof record.id !== 'string')) {
+        sendJson(res, 400, { error: 'Geçersiz değişiklik listesi.' });
+        return;
+    }
+    const session = await getSession(name);
+    if (clear) { session.scans.forEach((record, id) => session.removed.add(id)); session.scans.clear(); }
+    removedIds.forEach(id => { session.scans.delete(id); session.removed.add(id); });
+    // Geri alma ile yeniden eklenen kayıtlar silinmişler listesinden çıkar
+    added.forEach(record => { session.scans.set(record.id, record); session.removed.delete(record.id); });
+    scheduleSave(name, session);
+    const changes = { deviceId, added, removedIds, clear: Boolean(clear) };
+    session.clients.forEach(client => sendEvent(client, 'changes', changes));
+    sendJson(res, 200, { ok: true, count: session.scans.size });
+};
+
+const handleRequest = async (req, res) => {
+    // Uygulama başka bir adresten sunulduğu için tüm kaynaklara izin verilir (yerel ağ kullanımı)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const match = url.pathname.match(/^\/sessions\/([^/]+)\/(events|changes)$/);
+    try {
+        if (req.method === 'GET' && url.pathname === '/health') { sendJson(res, 200, { ok: true, sessions: sessions.size }); return; }
+        if (match && !isAuthorized(req, url)) { sendJson(res, 401, { error: 'Erişim anahtarı geçersiz.' }); return; }
+        if (match && req.method === 'GET' && match[2] === 'events') { await handleEvents(req, res, decodeURIComponent(match[1])); return; }
+        if (match && req.method === 'POST' && match[2] === 'changes') { await handleChanges(req, res, decodeURIComponent(match[1])); return; }
+        sendJson(res, 404, { error: 'Bulunamadı.' });
+    } catch (err) {
+        if (!res.headersSent) sendJson(res, err.status || 500, { error: err.message });
+    }
+};
+
+if (Boolean(TLS_CERT) !== Boolean(TLS_KEY)) {
+    console.error('HTTPS için SYNC_TLS_CERT ve SYNC_TLS_KEY birlikte verilmelidir.');
+    process.exit(1);
+}
+const server = TLS_CERT
+    ? https.createServer({ cert: readFileSync(TLS_CERT), key: readFileSync(TLS_KEY) }, handleRequest)
+    : http.createServer(handleRequest);
+
+server.listen(PORT, HOST, () => {
+    const protocol = TLS_CERT ? 'https' : 'http';
+    console.log(`Koha sayım senkronizasyon sunucusu ${protocol}://${HOST}:${PORT} adresinde çalışıyor (veri: ${DATA_DIR})`);
+    if (!process.env.SYNC_TOKEN) console.log(`Erişim anahtarı (SYNC_TOKEN verilmedi, bu başlatma için üretildi): ${TOKEN}`);
+    if (!TLS_CERT) console.log('Uyarı: HTTPS ile açılan uygulama http:// sunucusuna bağlanamaz; SYNC_TLS_CERT ve SYNC_TLS_KEY ile HTTPS kullanın.');
+});
@@ -2,43 +2,146 @@ import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { useDropzone } from 'react-dropzone';
 import { PieChart, Pie, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, LabelList, LineChart, Line } from 'recharts';
 import * as Tone from 'tone';
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { Html5Qrcode } from 'html5-qrcode';
+import { toPng } from 'html-to-image';
+import { BARCODE_PROFILES, CHECK_DIGIT_ALGORITHMS, DEFAULT_BARCODE_PROFILE_ID, DEFAULT_WARNING_SEVERITY, PADDING_RULES, PREFIX_RULES, RULE_OPERATORS, WARNING_DEFINITIONS, WARNING_SEVERITIES, getWarningRules, getWarningSeverity, validateBarcode } from './barcodeValidation.js';
+import { findOutOfOrderRuns } from './callNumber.js';
+import { summarizeSegments } from './segments.js';
+import { CSV_DELIMITERS, CSV_ENCODINGS, getDelimiterName, getEncodingName } from './csvImport.js';
+import { KOHA_FIELDS, findMatchingPreset, suggestColumnMapping } from './columnMapping.js';
+import { MARC_FILE_EXTENSIONS } from './marcImport.js';
+import { KBART_COLUMN_MAPPING } from './kbartImport.js';
+import { LINEAR_BARCODE_FORMATS, getScanRegion } from './continuousScan.js';
+import { DETECTOR_ENGINE_NAMES, createBarcodeDetector, decodeImageFile, getDetectorEngine } from './barcodeDetector.js';
+import { COLLECTOR_COLUMNS, DATE_ORDERS, DEFAULT_COLLECTOR_LAYOUT, parseCollectorTimestamp } from './collectorImport.js';
+import { DEFAULT_WEDGE_SETTINGS, WEDGE_TERMINATORS, createWedgeReader, isTextField } from './wedgeScanner.js';
+import { getCameraSource, getFocusConstraints, getSavedConstraints, getTrackControls, loadCameraPreferences, saveCameraSetting, saveSelectedCamera } from './cameraSettings.js';
+import { compareWarningCounts } from './reevaluation.js';
+import { isInLocationScope, normalizeLocations, splitMissingItems } from './locationScope.js';
+import { connectSync, getSyncDeviceId } from './syncClient.js';
+import { applyScanChanges, createScanId, deleteStoredSession, listSessions, loadKohaList, loadStoredSession, migrateLegacySessions, saveKohaList, updateSessionMeta } from './sessionStore.js';
+
+// --- Camera Controls ---
+// Kamera seçimi, fener ve yakınlaştırma. Kamera açıldığında bu kamera için kayıtlı ayarlar yeniden uygulanır.
+const CameraControls = ({ scannerRef, isReady, cameraId, onCameraChange }) => {
+    const [cameras, setCameras] = useState([]);
+    const [controls, setControls] = useState(null);
+    const [torch, setTorch] = useState(false);
+    const [zoom, setZoom] = useState(null);
+    const deviceIdRef = useRef('');
 
-// --- Custom Hooks & Libraries ---
-// Custom hook to dynamically load external scripts
-const useScript = (url, globalVarName) => {
-  const [isReady, setIsReady] = useState(false);
-  useEffect(() => {
-    if (window[globalVarName]) {
-      setIsReady(true);
-      return;
-    }
-    let script = document.querySelector(`script[src="${url}"]`);
-    const handleLoad = () => setIsReady(true);
-    const handleError = () => console.error(`Error loading script: ${url}`);
-
-    if (!script) {
-      script = document.createElement('script');
-      script.src = url;
-      script.async = true;
-      document.body.appendChild(script);
-      script.addEventListener('load', handleLoad);
-      script.addEventListener('error', handleError);
-    } else {
-        script.addEventListener('load', handleLoad);
-        script.addEventListener('error', handleError);
-    }
-    return () => { if (script && script.parentElement) { script.removeEventListener('load', handleLoad); script.removeEventListener('error', handleError); } };
-  }, [url, globalVarName]);
-  return isReady;
+    useEffect(() => {
+        if (!isReady) return;
+        Html5Qrcode.getCameras().then(setCameras).catch(() => setCameras([]));
+        const scanner = scannerRef.current;
+        const settings = scanner.getRunningTrackSettings();
+        const available = getTrackControls(scanner.getRunningTrackCapabilities());
+        const saved = getSavedConstraints(settings.deviceId, available);
+        deviceIdRef.current = settings.deviceId;
+        setControls(available);
+        setTorch(Boolean(saved.torch));
+        setZoom(saved.zoom ?? settings.zoom ?? available.zoom?.min ?? null);
+        if (Object.keys(saved).length > 0) scanner.applyVideoConstraints({ advanced: [saved] }).catch(err => console.error("Kamera ayarları uygulanamadı:", err));
+    }, [scannerRef, isReady]);
+
+    const applySetting = (setting) => {
+        scannerRef.current.applyVideoConstraints({ advanced: [setting] }).catch(err => console.error("Kamera ayarı uygulanamadı:", err));
+        saveCameraSetting(deviceIdRef.current, setting);
+    };
+    const toggleTorch = () => { applySetting({ torch: !torch }); setTorch(!torch); };
+    const changeZoom = (value) => { applySetting({ zoom: value }); setZoom(value); };
+
+    if (!isReady) return null;
+    return (
+        <div className="p-3 border-t bg-slate-50 space-y-2 text-sm">
+            {cameras.length > 1 && (
+                <select value={cameraId || deviceIdRef.current} onChange={(e) => onCameraChange(e.target.value)} className="w-full p-2 border border-slate-300 rounded-md">
+                    {cameras.map((camera, index) => <option key={camera.id} value={camera.id}>{camera.label || `Kamera ${index + 1}`}</option>)}
+                </select>
+            )}
+            {controls && (controls.torch || controls.zoom) && (
+                <div className="flex items-center gap-3">
+                    {controls.torch && <button onClick={toggleTorch} className={`px-3 py-1 rounded-md font-semibold ${torch ? 'bg-yellow-300 text-slate-900' : 'bg-slate-200 text-slate-700'}`}>{torch ? 'Feneri Kapat' : 'Feneri Aç'}</button>}
+                    {controls.zoom && (
+                        <label className="flex-1 flex items-center gap-2">Yakınlaştır
+                            <input type="range" min={controls.zoom.min} max={controls.zoom.max} step={controls.zoom.step} value={zoom ?? controls.zoom.min} onChange={(e) => changeZoom(Number(e.target.value))} className="flex-1" />
+                        </label>
+                    )}
+                </div>
+            )}
+            {controls?.focus && <p className="text-xs text-slate-500">Odaklamak için görüntüde barkoda dokunun.</p>}
+        </div>
+    );
 };
 
+// Görüntüye dokunulan noktaya odaklanır; dönen nokta odak halkasını çizmek içindir
+const focusCameraAt = (scanner, event) => {
+    const box = event.currentTarget.getBoundingClientRect();
+    const point = { x: (event.clientX - box.left) / box.width, y: (event.clientY - box.top) / box.height };
+    const constraints = getFocusConstraints(scanner.getRunningTrackCapabilities(), point);
+    if (constraints) scanner.applyVideoConstraints(constraints).catch(err => console.error("Odaklanılamadı:", err));
+    return point;
+};
+const FocusRing = ({ point }) => point && <div className="absolute w-12 h-12 -ml-6 -mt-6 border-2 border-white rounded-full pointer-events-none" style={{ left: `${point.x * 100}%`, top: `${point.y * 100}%` }} />;
+
+// Html5Qrcode kamerasının iki tarayıcıda ortak yaşam döngüsü: kayıtlı kamerayla açılır, kamera değiştirilirken
+// önceki kameranın kapanması beklenir, kayıtlı kamera açılamazsa arka kameraya dönülür, dokunulan noktaya odaklanılır.
+// options: { readerId, scannerConfig, scanConfig, onDecoded(text), onStarted(scanner), onError(metin) }
+// onStarted kamera açıldıktan sonra çağrılır (ör. çözme döngüsü kurmak için); döndürdüğü fonksiyon kamera kapanırken çağrılır.
+// Seçenekler her çizimde güncellenir; kamera yalnızca kamera seçimi değişince yeniden açılır.
+const useScannerCamera = (options) => {
+    const optionsRef = useRef(options);
+    const scannerRef = useRef(null);
+    const stoppingRef = useRef(Promise.resolve());
+    const [cameraId, setCameraId] = useState(() => loadCameraPreferences().cameraId);
+    const [isCameraReady, setIsCameraReady] = useState(false);
+    const [focusPoint, setFocusPoint] = useState(null);
+    useEffect(() => { optionsRef.current = options; });
+    const changeCamera = useCallback((id) => { saveSelectedCamera(id); setCameraId(id); }, []);
+    const handleFocusTap = (e) => { if (!isCameraReady) return; setFocusPoint(focusCameraAt(scannerRef.current, e)); setTimeout(() => setFocusPoint(null), 800); };
+
+    useEffect(() => {
+        const { readerId, scannerConfig, scanConfig } = optionsRef.current;
+        const scanner = new Html5Qrcode(readerId, scannerConfig);
+        scannerRef.current = scanner;
+        let isCancelled = false;
+        let stopWork = null;
+        const startCamera = async () => {
+            try {
+                await stoppingRef.current; // Kamera değiştirilirken önceki kameranın kapanması beklenir
+                await scanner.start(getCameraSource(cameraId), scanConfig, (decodedText) => optionsRef.current.onDecoded(decodedText), () => {});
+                const stop = await optionsRef.current.onStarted?.(scanner);
+                if (isCancelled) { stop?.(); return; }
+                stopWork = stop;
+                setIsCameraReady(true);
+            } catch (err) {
+                console.error("Kamera başlatma hatası:", err);
+                if (isCancelled) return;
+                // Kayıtlı kamera artık yoksa arka kameraya dönülür
+                if (cameraId && err.name !== 'NotAllowedError') { changeCamera(''); return; }
+                optionsRef.current.onError(err.name === 'NotAllowedError' ? 'Lütfen kamera erişimine izin verin.' : 'Kamera başlatılamadı.');
+            }
+        };
+        const starting = startCamera();
+        return () => {
+            isCancelled = true;
+            stopWork?.();
+            setIsCameraReady(false);
+            // Kamera henüz açılıyorsa açılması beklenip kapatılır
+            stoppingRef.current = starting.then(() => (scanner.isScanning ? scanner.stop() : null)).catch(err => console.error("Kamera durdurulurken hata oluştu:", err));
+        };
+    }, [cameraId, changeCamera]);
+
+    return { scannerRef, cameraId, changeCamera, isCameraReady, focusPoint, handleFocusTap };
+};
 
 // --- Robust Barcode Scanner Component ---
 // This component handles the camera-based barcode scanning functionality.
 const RobustBarcodeScanner = ({ onScan, onClose, isPaused }) => {
     const readerId = "robust-barcode-scanner";
     const [message, setMessage] = useState({ text: 'Kamera başlatılıyor...', type: 'info' });
-    const scannerRef = useRef(null);
     const throttleTimeoutRef = useRef(null);
     const scannedCodesThisSessionRef = useRef(new Set());
 
@@ -62,26 +165,15 @@ const RobustBarcodeScanner = ({ onScan, onClose, isPaused }) => {
         throttleTimeoutRef.current = setTimeout(() => { throttleTimeoutRef.current = null; }, 2000);
     };
 
-    useEffect(() => {
-        if (!window.Html5Qrcode) {
-             setMessage({ text: 'Tarayıcı kütüphanesi yüklenemedi.', type: 'error' });
-            return;
-        }
-        const html5QrCode = new window.Html5Qrcode(readerId);
-        scannerRef.current = html5QrCode;
-        const startCamera = async () => {
-            try {
-                setMessage({ text: 'Kamera başlatılıyor, lütfen bekleyin...', type: 'info' });
-                await html5QrCode.start({ facingMode: "environment" }, { fps: 10, qrbox: { width: 250, height: 250 } }, handleScanResult, () => {});
-                setMessage({ text: 'Okutmak için kamerayı barkoda yaklaştırın.', type: 'info' });
-            } catch (err) {
-                console.error("Kamera başlatma hatası:", err);
-                setMessage({ text: err.name === 'NotAllowedError' ? 'Lütfen kamera erişimine izin verin.' : 'Kamera başlatılamadı.', type: 'error' });
-            }
-        };
-        startCamera();
-        return () => { if (scannerRef.current && scannerRef.current.isScanning) scannerRef.current.stop().catch(err => console.error("Kamera durdurulurken hata oluştu:", err)); };
-    }, [onScan, isPaused]);
+    const { scannerRef, cameraId, changeCamera, isCameraReady, focusPoint, handleFocusTap } = useScannerCamera({
+        readerId,
+        // Tarayıcı destekliyorsa html5-qrcode da yerleşik BarcodeDetector'ı kullanır
+        scannerConfig: { verbose: false, experimentalFeatures: { useBarCodeDetectorIfSupported: true } },
+        scanConfig: { fps: 10, qrbox: { width: 250, height: 250 } },
+        onDecoded: handleScanResult,
+        onStarted: () => setMessage({ text: 'Okutmak için kamerayı barkoda yaklaştırın.', type: 'info' }),
+        onError: (text) => setMessage({ text, type: 'error' })
+    });
 
     const getMessageStyles = (type) => {
         switch (type) {
@@ -95,8 +187,12 @@ const RobustBarcodeScanner = ({ onScan, onClose, isPaused }) => {
     return (
         <div className="fixed inset-0 bg-black bg-opacity-75 z-40 flex flex-col items-center justify-center p-4">
             <div className="w-full max-w-md bg-white rounded-lg overflow-hidden shadow-2xl">
-                 <div id={readerId} />
+                 <div className="relative" onClick={handleFocusTap}>
+                     <div id={readerId} />
+                     <FocusRing point={focusPoint} />
+                 </div>
                  <div role="alert" className={`p-4 text-center font-semibold border-t-4 ${getMessageStyles(message.type)}`}>{message.text}</div>
+                 <CameraControls scannerRef={scannerRef} isReady={isCameraReady} cameraId={cameraId} onCameraChange={changeCamera} />
             </div>
             <button onClick={onClose} className="mt-4 px-6 py-2 bg-slate-700 text-white rounded-md font-bold hover:bg-slate-800">Kamerayı Kapat</button>
         </div>
@@ -104,6 +200,109 @@ const RobustBarcodeScanner = ({ onScan, onClose, isPaused }) => {
 };
 
 
+// Sürekli tarama: kamera açık kalır, karedeki barkodlar kuyruğa alınıp sırayla işlenir. Kamera açıkken
+// her barkod bir kez kabul edilir. Uyarı penceresi açıkken kuyruk bekletilir; kamera engelleyici bir uyarıyla
+// kapanırsa kuyrukta kalan barkodlar onPendingCodes ile geri verilir.
+const CONTINUOUS_DECODE_INTERVAL = 300;
+const CONTINUOUS_QUEUE_INTERVAL = 150;
+const CONTINUOUS_MARKER_DURATION = 1200;
+const ContinuousBarcodeScanner = ({ onScan, onClose, isPaused, onPendingCodes }) => {
+    const readerId = "continuous-barcode-scanner";
+    const [message, setMessage] = useState({ text: 'Kamera başlatılıyor...', type: 'info' });
+    const [markers, setMarkers] = useState([]);
+    const [recentScans, setRecentScans] = useState([]);
+    const [queueLength, setQueueLength] = useState(0);
+    const queueRef = useRef([]);
+    const seenCodesRef = useRef(new Set());
+    const isPausedRef = useRef(isPaused);
+    const onScanRef = useRef(onScan);
+    const onPendingCodesRef = useRef(onPendingCodes);
+    useEffect(() => { isPausedRef.current = isPaused; onScanRef.current = onScan; onPendingCodesRef.current = onPendingCodes; }, [isPaused, onScan, onPendingCodes]);
+
+    const enqueue = useCallback((code, rect) => {
+        if (seenCodesRef.current.has(code)) return;
+        seenCodesRef.current.add(code);
+        queueRef.current.push(code);
+        setQueueLength(queueRef.current.length);
+        if (rect) {
+            const marker = { id: `${code}-${Date.now()}`, code, rect };
+            setMarkers(prev => [...prev, marker]);
+            setTimeout(() => setMarkers(prev => prev.filter(m => m.id !== marker.id)), CONTINUOUS_MARKER_DURATION);
+        }
+    }, []);
+
+    // Kamera ve şerit şerit çözme döngüsü; html5-qrcode'un kendi okuduğu barkodlar da kuyruğa eklenir
+    const { scannerRef, cameraId, changeCamera, isCameraReady, focusPoint, handleFocusTap } = useScannerCamera({
+        readerId,
+        scannerConfig: { formatsToSupport: LINEAR_BARCODE_FORMATS, verbose: false },
+        scanConfig: { fps: 10, qrbox: getScanRegion, disableFlip: true },
+        onDecoded: (decodedText) => { if (!isPausedRef.current) enqueue(decodedText, null); },
+        onStarted: async () => {
+            // Yerleşik algılayıcı yoksa şeritler html5-qrcode'un dosya çözücüsüyle çözülür
+            const detector = await createBarcodeDetector();
+            let isDecoding = false;
+            const decodeFrame = async () => {
+                const video = document.querySelector(`#${readerId} video`);
+                if (isDecoding || isPausedRef.current || !video || !video.videoWidth) return;
+                isDecoding = true;
+                try { (await detector.detect(video)).forEach(({ text, rect }) => enqueue(text, rect)); }
+                catch (err) { console.error("Barkod algılanamadı:", err); }
+                finally { isDecoding = false; }
+            };
+            const decodeTimer = setInterval(decodeFrame, CONTINUOUS_DECODE_INTERVAL);
+            setMessage({ text: `Kamerayı rafta gezdirin; görüntüdeki barkodlar sırayla okunur. (${detector.engine === 'native' ? 'Yerleşik algılayıcı' : 'JavaScript çözücü'})`, type: 'info' });
+            return () => { clearInterval(decodeTimer); detector.close(); };
+        },
+        onError: (text) => setMessage({ text, type: 'error' })
+    });
+
+    // Kuyruk işleyici: uyarı penceresi açıkken bekler
+    useEffect(() => {
+        const queue = queueRef.current;
+        const timer = setInterval(() => {
+            if (isPausedRef.current || queue.length === 0) return;
+            const code = queue.shift();
+            setQueueLength(queue.length);
+            const result = onScanRef.current(code);
+            if (result.outcome === 'ignored') return;
+            const scan = { code, outcome: result.outcome, text: result.outcome === 'isbn' ? 'ISBN' : (result.warnings?.map(w => w.text).join(', ') || 'Geçerli') };
+            setRecentScans(prev => [scan, ...prev].slice(0, 5));
+        }, CONTINUOUS_QUEUE_INTERVAL);
+        return () => {
+            clearInterval(timer);
+            if (queue.length > 0) onPendingCodesRef.current?.(queue.splice(0));
+        };
+    }, []);
+
+    const getMessageStyles = (type) => (type === 'error' ? 'bg-red-100 border-red-500 text-red-800' : 'bg-blue-100 border-blue-500 text-blue-800');
+    const getScanStyles = (outcome) => (outcome === 'success' ? 'text-green-700' : outcome === 'isbn' ? 'text-orange-700' : 'text-yellow-700');
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 z-40 flex flex-col items-center justify-center p-4">
+            <div className="w-full max-w-2xl bg-white rounded-lg overflow-hidden shadow-2xl">
+                <div className="relative" onClick={handleFocusTap}>
+                    <div id={readerId} />
+                    <FocusRing point={focusPoint} />
+                    {markers.map(marker => (
+                        <div key={marker.id} className="absolute border-4 border-green-400 rounded pointer-events-none" style={{ left: `${marker.rect.x * 100}%`, top: `${marker.rect.y * 100}%`, width: `${marker.rect.width * 100}%`, height: `${marker.rect.height * 100}%` }}>
+                            <span className="absolute top-0 left-0 bg-green-500 text-white text-xs font-mono px-1">{marker.code}</span>
+                        </div>
+                    ))}
+                </div>
+                <div role="alert" className={`p-3 text-center font-semibold border-t-4 ${getMessageStyles(message.type)}`}>{message.text}</div>
+                <CameraControls scannerRef={scannerRef} isReady={isCameraReady} cameraId={cameraId} onCameraChange={changeCamera} />
+                <div className="p-3 text-sm">
+                    <p className="text-slate-500 mb-1">Sırada bekleyen: {queueLength}{isPaused && ' (uyarı penceresi kapanınca devam edecek)'}</p>
+                    <ul className="space-y-1">
+                        {recentScans.map(scan => <li key={scan.code} className="flex justify-between gap-2"><span className="font-mono text-slate-800">{scan.code}</span><span className={`font-semibold ${getScanStyles(scan.outcome)}`}>{scan.text}</span></li>)}
+                    </ul>
+                </div>
+            </div>
+            <button onClick={onClose} className="mt-4 px-6 py-2 bg-slate-700 text-white rounded-md font-bold hover:bg-slate-800">Kamerayı Kapat</button>
+        </div>
+    );
+};
+
 // --- Data Constants & Icons ---
 
 const INITIAL_LIBRARIES = [
@@ -1569,18 +1768,6 @@ const INITIAL_LOCATIONS = [
 ["TEDA Kitapları", "TEDA Kitapları"]	,
 ["Türk Edebiyatı", "Türk Edebiyatı (Edebiyat Müze Kütüphaneleri İçin)"]
 ];
-const WARNING_DEFINITIONS = { 
-    invalidStructure: { id: 'invalidStructure', text: 'Yapıya Uygun Olmayan', color: '#E74C3C', sound: 'A#3', message: 'Okutulan barkod gerekli yapıyla eşleşmiyor.' }, 
-    locationMismatch: { id: 'locationMismatch', text: 'Konum Farklı', color: '#FAD7A0', sound: 'C4', message: 'Okutulan materyal seçilen lokasyonda bulunmuyor.' }, 
-    notLoanable: { id: 'notLoanable', text: 'Ödünç Verilemez', color: '#F08080', sound: 'E5', message: "Materyalin ödünç verilebilirlik durumu uygun değil." }, 
-    notInCollection: { id: 'notInCollection', text: 'Düşüm/Devir', color: '#A9C9F5', sound: 'G4', message: 'Materyal koleksiyonda değil (düşüm veya devir yapılmış).' }, 
-    onLoan: { id: 'onLoan', text: 'Okuyucuda', color: '#F7B38D', sound: 'C4', message: 'Materyal şu anda ödünçte ve iade edilmesi gerekiyor.' }, 
-    wrongLibrary: { id: 'wrongLibrary', text: 'Farklı Kütüphane', color: '#C7AED9', sound: 'C4', message: 'Materyal sizin kütüphanenize ait değil.' }, 
-    deleted: { id: 'deleted', text: 'Listede Yok', color: '#808080', sound: 'A3', message: 'Barkod formatı doğru ancak içeri aktarılan listede bulunamadı. (muhtemelen silinmiş materyal olabilir)' }, 
-    autoCompletedNotFound: { id: 'autoCompletedNotFound', text: 'Manuel Girilen Bulunamadı', color: '#8E44AD', sound: 'A3', message: 'Barkod 12 haneye tamamlandı ancak içeri aktardığınız listede bulunamadı. Lütfen materyal barkodunu kontrol edin.' }, 
-    duplicate: { id: 'duplicate', text: 'Tekrar Okutuldu', color: '#FFC300', sound: 'B4', message: 'Bu barkod daha önce okutuldu.'},
-    isbnDetected: { id: 'isbnDetected', text: 'ISBN Algılandı', color: '#E67E22', sound: 'F#4', message: 'Okutulan barkod bir ISBN olabilir. Lütfen materyalin üzerindeki demirbaş barkodunu okutun.' }
-};
 const PIE_CHART_COLORS = { valid: '#2ECC71', invalid: '#E74C3C', missing: '#95A5A6' };
 const ICONS = {
     download: <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>,
@@ -1609,16 +1796,23 @@ const LOCATION_CODE_MAP = { 'AB': 'Atatürk Bölümü', 'AÖÖK': 'Adnan Ötüke
 const synth = new Tone.Synth().toDestination();
 const CustomTooltip = ({ active, payload, label }) => { if (active && payload && payload.length) { return <div className="bg-white p-2 border border-gray-300 rounded shadow-lg"><p className="font-bold text-slate-800">{label}</p><p className="text-sm text-slate-600">{`Sayı: ${payload[0].value}`}</p></div>; } return null; };
 const FileUploader = ({ onFileAccepted, children, title, disabled, accept, multiple = false }) => { const onDrop = useCallback(acceptedFiles => { onFileAccepted(acceptedFiles); }, [onFileAccepted]); const { getRootProps, getInputProps, isDragActive } = useDropzone({ onDrop, multiple, disabled, accept }); return <div {...getRootProps()} className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${disabled ? 'bg-slate-100 text-slate-400' : 'cursor-pointer'} ${isDragActive ? 'border-blue-500 bg-blue-50' : 'border-slate-300 hover:border-blue-400'}`}><input {...getInputProps()} /><p className="text-slate-500">{title}</p>{children}</div>; };
-const Modal = ({ isOpen, onClose, children }) => { if (!isOpen) return null; return <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4"><div className="bg-white rounded-lg shadow-2xl w-full max-w-md mx-auto">{children}</div></div>; };
-const WarningModal = ({ isOpen, onClose, title, warnings, barcode }) => {
+const Modal = ({ isOpen, onClose, children, wide = false }) => { if (!isOpen) return null; return <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4"><div className={`bg-white rounded-lg shadow-2xl w-full ${wide ? 'max-w-3xl max-h-[90vh] overflow-y-auto' : 'max-w-md'} mx-auto`}>{children}</div></div>; };
+// Engelleyici uyarılarda pencere, okutmanın nasıl ele alındığı seçilmeden kapanmaz
+const WARNING_RESOLUTIONS = [
+    { id: 'setAside', label: 'Materyali işlem için ayırdım', short: 'Ayrıldı' },
+    { id: 'leftOnShelf', label: 'Rafta bıraktım, sonra bakılacak', short: 'Rafta bırakıldı' },
+    { id: 'removed', label: 'Okutmayı sil (sayıma alınmasın)' }
+];
+const WarningModal = ({ isOpen, onClose, title, warnings, barcode, severity, scanId, onResolve }) => {
     const onLoanWarning = warnings.find(w => w.id === 'onLoan');
     const returnUrl = `https://personel.ekutuphane.gov.tr/cgi-bin/koha/circ/returns.pl?barcode=${barcode}`;
+    const requiresResolution = severity === 'blocking' && Boolean(scanId);
 
     return (
         <Modal isOpen={isOpen} onClose={onClose}>
-            <div className="flex justify-between items-center p-4 border-b">
+            <div className={`flex justify-between items-center p-4 border-b ${requiresResolution ? 'bg-red-50' : ''}`}>
                 <h3 className="text-lg font-bold text-slate-800">{title}</h3>
-                <button onClick={onClose} className="text-slate-500 hover:text-slate-800 text-2xl">&times;</button>
+                {!requiresResolution && <button onClick={onClose} className="text-slate-500 hover:text-slate-800 text-2xl">&times;</button>}
             </div>
             <div className="p-5">
                 <ul className="space-y-2 list-disc list-inside">
@@ -1639,13 +1833,410 @@ const WarningModal = ({ isOpen, onClose, title, warnings, barcode }) => {
                         </p>
                     </div>
                 )}
-                <button onClick={onClose} className="mt-6 bg-slate-600 text-white py-2 px-4 rounded hover:bg-slate-700 w-full font-bold">Tamam</button>
+                {requiresResolution ? (
+                    <div className="mt-6 space-y-2">
+                        <p className="text-sm font-semibold text-slate-700">Bu materyal için ne yaptınız?</p>
+                        {WARNING_RESOLUTIONS.map(resolution => (
+                            <button key={resolution.id} onClick={() => onResolve(scanId, resolution.id)} className={`w-full py-2 px-4 rounded font-bold ${resolution.id === 'removed' ? 'bg-red-100 text-red-800 hover:bg-red-200' : 'bg-slate-600 text-white hover:bg-slate-700'}`}>{resolution.label}</button>
+                        ))}
+                    </div>
+                ) : (
+                    <button onClick={onClose} className="mt-6 bg-slate-600 text-white py-2 px-4 rounded hover:bg-slate-700 w-full font-bold">Tamam</button>
+                )}
             </div>
         </Modal>
     );
 };
+// Bilgi düzeyindeki uyarılar okutmayı kesmeden kısa süre gösterilir
+const ScanToast = ({ toast, onClose }) => {
+    if (!toast) return null;
+    return (
+        <div role="status" className="fixed bottom-4 right-4 z-50 w-72 bg-white border border-slate-200 rounded-lg shadow-lg p-3">
+            <div className="flex justify-between items-start gap-2">
+                <p className="font-mono text-sm text-slate-800">{toast.barcode}</p>
+                <button onClick={onClose} className="text-slate-400 hover:text-slate-700 leading-none text-lg">&times;</button>
+            </div>
+            <div className="flex flex-wrap gap-1 mt-1">
+                {toast.warnings.map(w => <span key={w.id} style={{ backgroundColor: w.color, color: '#fff' }} className="px-2 py-1 text-xs font-semibold rounded-full">{w.message || w.text}</span>)}
+            </div>
+        </div>
+    );
+};
 const ConfirmationModal = ({ isOpen, onClose, message, onConfirm }) => { if (!isOpen) return null; const handleConfirm = () => { onConfirm(); onClose(); }; return <Modal isOpen={isOpen} onClose={onClose}><div className="p-6 text-center"><h3 className="text-lg font-medium text-slate-800 mb-4">{message}</h3><div className="flex justify-center gap-4"><button onClick={onClose} className="px-6 py-2 rounded-md bg-slate-200 text-slate-800 hover:bg-slate-300 font-semibold">Hayır</button><button onClick={handleConfirm} className="px-6 py-2 rounded-md bg-red-600 text-white hover:bg-red-700 font-semibold">Evet, Sil</button></div></div></Modal>; };
 const AddDataModal = ({ isOpen, onClose, onAdd, type }) => { const [code, setCode] = useState(''); const [name, setName] = useState(''); const handleAdd = () => { if(code && name) { onAdd(type, code, name); onClose(); setCode(''); setName(''); } }; return <Modal isOpen={isOpen} onClose={onClose}><div className="p-5"><h3 className="text-lg font-bold mb-4">Yeni {type === 'library' ? 'Kütüphane' : 'Lokasyon'} Ekle</h3><div className="space-y-4"><input type="text" value={code} onChange={e => setCode(e.target.value)} placeholder="Kod" className="w-full p-2 border border-slate-300 rounded-md" /><input type="text" value={name} onChange={e => setName(e.target.value)} placeholder="İsim" className="w-full p-2 border border-slate-300 rounded-md" /></div><div className="flex justify-end gap-2 mt-4"><button onClick={onClose} className="px-4 py-2 rounded-md bg-slate-200">İptal</button><button onClick={handleAdd} className="px-4 py-2 rounded-md bg-blue-600 text-white">Ekle</button></div></div></Modal>; };
+const BarcodeProfileModal = ({ isOpen, onClose, onAdd }) => {
+    const emptyProfile = { name: '', length: 12, prefix: 'libraryPlus1000', checkDigit: 'none', padding: 'prefix', truncate: true, alphanumeric: false };
+    const [profile, setProfile] = useState(emptyProfile);
+    const update = (field, value) => setProfile(prev => ({ ...prev, [field]: value }));
+    const handleAdd = () => { if (profile.name) { onAdd({ ...profile, length: Math.max(0, parseInt(profile.length, 10) || 0) }); onClose(); setProfile(emptyProfile); } };
+    const selectClass = "w-full p-2 border border-slate-300 rounded-md";
+    return (
+        <Modal isOpen={isOpen} onClose={onClose}>
+            <div className="p-5">
+                <h3 className="text-lg font-bold mb-4">Yeni Barkod Profili Ekle</h3>
+                <div className="space-y-3 text-sm">
+                    <input type="text" value={profile.name} onChange={e => update('name', e.target.value)} placeholder="Profil adı (örn: Eski 10 haneli)" className={selectClass} />
+                    <label className="block">Uzunluk (0: serbest)<input type="number" min="0" value={profile.length} onChange={e => update('length', e.target.value)} className={selectClass} /></label>
+                    <label className="block">Önek<select value={profile.prefix} onChange={e => update('prefix', e.target.value)} className={selectClass}>{Object.entries(PREFIX_RULES).map(([id, text]) => <option key={id} value={id}>{text}</option>)}</select></label>
+                    <label className="block">Kontrol hanesi<select value={profile.checkDigit} onChange={e => update('checkDigit', e.target.value)} className={selectClass}>{Object.entries(CHECK_DIGIT_ALGORITHMS).map(([id, text]) => <option key={id} value={id}>{text}</option>)}</select></label>
+                    <label className="block">Kısa girişler<select value={profile.padding} onChange={e => update('padding', e.target.value)} className={selectClass}>{Object.entries(PADDING_RULES).map(([id, text]) => <option key={id} value={id}>{text}</option>)}</select></label>
+                    <label className="flex items-center gap-2"><input type="checkbox" checked={profile.truncate} onChange={e => update('truncate', e.target.checked)} />Uzun girişleri profil uzunluğuna kes</label>
+                    <label className="flex items-center gap-2"><input type="checkbox" checked={profile.alphanumeric} onChange={e => update('alphanumeric', e.target.checked)} />Harf içeren barkodlara izin ver</label>
+                </div>
+                <div className="flex justify-end gap-2 mt-4"><button onClick={onClose} className="px-4 py-2 rounded-md bg-slate-200">İptal</button><button onClick={handleAdd} className="px-4 py-2 rounded-md bg-blue-600 text-white">Ekle</button></div>
+            </div>
+        </Modal>
+    );
+};
+
+// Uyarı kuralı düzenleyicisi. Değerler düzenlenirken virgülle ayrılmış metin olarak tutulur.
+const WARNING_SOUNDS = ['A3', 'A#3', 'D3', 'C4', 'E4', 'F#4', 'G4', 'A4', 'B4', 'C5', 'E5'];
+const RULE_FIELDS = KOHA_FIELDS.filter(field => field.id !== 'barkod');
+const WarningRulesModal = ({ isOpen, onClose, libraryName, rules, isCustom, onSave, onReset, onPreviewSound }) => {
+    const [draft, setDraft] = useState([]);
+    const [formError, setFormError] = useState('');
+    useEffect(() => {
+        if (!isOpen) return;
+        setDraft(rules.map(rule => ({ ...rule, values: rule.values.join(', ') })));
+        setFormError('');
+    }, [isOpen, rules]);
+    const update = (index, field, value) => setDraft(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+    const addRule = () => setDraft(prev => [...prev, { id: `rule_${Date.now().toString(36)}`, field: 'yer_numarasi', operator: 'empty', values: '', text: '', message: '', color: '#94A3B8', sound: 'C4', severity: DEFAULT_WARNING_SEVERITY, enabled: true }]);
+    const removeRule = (index) => setDraft(prev => prev.filter((_, i) => i !== index));
+    const handleSave = () => {
+        const next = draft.map(rule => ({ ...rule, text: rule.text.trim(), message: rule.message.trim(), values: RULE_OPERATORS[rule.operator].hasValues ? rule.values.split(',').map(value => value.trim()).filter(Boolean) : [] }));
+        if (next.some(rule => !rule.text)) { setFormError('Her kuralın bir uyarı adı olmalı.'); return; }
+        if (next.some(rule => RULE_OPERATORS[rule.operator].hasValues && rule.values.length === 0)) { setFormError('Değer karşılaştıran kurallar için en az bir değer girin.'); return; }
+        onSave(next);
+        onClose();
+    };
+    const inputClass = "w-full p-1 border border-slate-300 rounded-md";
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} wide>
+            <div className="p-5">
+                <div className="flex justify-between items-center mb-1">
+                    <h3 className="text-lg font-bold">Uyarı Kuralları</h3>
+                    <button onClick={onClose} className="text-slate-500 hover:text-slate-800 text-2xl">&times;</button>
+                </div>
+                <p className="text-sm text-slate-500 mb-2">{libraryName} için okutulan materyallerin Koha kaydına uygulanan kurallar.{!isCustom && ' Şu anda varsayılan kurallar kullanılıyor.'}</p>
+                <p className="text-xs text-slate-500 mb-4">Önem: <span className="font-semibold">Bilgi</span> okutmayı kesmeden kısa bildirim ve ses verir, <span className="font-semibold">Dikkat</span> uyarı penceresi açar, <span className="font-semibold">Engelleyici</span> kamerayı kapatır ve materyal için bir çözüm seçilmesini ister.</p>
+                <div className="space-y-3 text-sm">
+                    {draft.map((rule, index) => (
+                        <div key={rule.id} className={`p-3 border rounded-md space-y-2 ${rule.enabled ? 'bg-white' : 'bg-slate-50 opacity-70'}`} style={{ borderLeft: `4px solid ${rule.color}` }}>
+                            <div className="flex items-center gap-2">
+                                <input type="checkbox" checked={rule.enabled} onChange={e => update(index, 'enabled', e.target.checked)} title="Kural açık" />
+                                <input type="text" value={rule.text} onChange={e => update(index, 'text', e.target.value)} placeholder="Uyarı adı (örn: Yer Numarası Yok)" className={`${inputClass} font-semibold`} />
+                                <button onClick={() => removeRule(index)} className="px-2 py-1 text-xs text-red-700 bg-red-100 rounded hover:bg-red-200 whitespace-nowrap">Sil</button>
+                            </div>
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                                <select value={rule.field} onChange={e => update(index, 'field', e.target.value)} className={inputClass}>
+                                    {RULE_FIELDS.map(field => <option key={field.id} value={field.id}>{field.name}</option>)}
+                                </select>
+                                <select value={rule.operator} onChange={e => update(index, 'operator', e.target.value)} className={inputClass}>
+                                    {Object.entries(RULE_OPERATORS).map(([id, operator]) => <option key={id} value={id}>{operator.name}</option>)}
+                                </select>
+                                {RULE_OPERATORS[rule.operator].hasValues && <input type="text" value={rule.values} onChange={e => update(index, 'values', e.target.value)} placeholder="Değerler (örn: 0, 2, 5)" className={inputClass} />}
+                            </div>
+                            <input type="text" value={rule.message} onChange={e => update(index, 'message', e.target.value)} placeholder="Açıklama (uyarı penceresinde gösterilir)" className={inputClass} />
+                            <div className="flex flex-wrap items-center gap-3">
+                                <label className="flex items-center gap-1">Renk<input type="color" value={rule.color} onChange={e => update(index, 'color', e.target.value)} className="h-7 w-10 border border-slate-300 rounded" /></label>
+                                <label className="flex items-center gap-1">Ses
+                                    <select value={rule.sound} onChange={e => update(index, 'sound', e.target.value)} className="p-1 border border-slate-300 rounded-md">
+                                        {[...new Set([...WARNING_SOUNDS, rule.sound])].map(note => <option key={note} value={note}>{note}</option>)}
+                                    </select>
+                                    <button onClick={() => onPreviewSound(rule.sound)} className="px-2 py-1 text-xs bg-slate-200 rounded hover:bg-slate-300">Dinle</button>
+                                </label>
+                                <label className="flex items-center gap-1">Önem
+                                    <select value={rule.severity} onChange={e => update(index, 'severity', e.target.value)} className="p-1 border border-slate-300 rounded-md">
+                                        {Object.entries(WARNING_SEVERITIES).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                                    </select>
+                                </label>
+                            </div>
+                        </div>
+                    ))}
+                    {draft.length === 0 && <p className="text-center text-slate-500 py-4">Kural yok; materyaller yalnızca barkod, tekrar ve raf sırası kontrollerinden geçer.</p>}
+                </div>
+                {formError && <p className="mt-3 text-sm text-red-700">{formError}</p>}
+                <div className="flex flex-wrap justify-between gap-2 mt-4">
+                    <div className="flex gap-2">
+                        <button onClick={addRule} className="px-4 py-2 rounded-md bg-slate-200 hover:bg-slate-300">Yeni Kural</button>
+                        <button onClick={() => { onReset(); onClose(); }} disabled={!isCustom} className="px-4 py-2 rounded-md bg-slate-200 hover:bg-slate-300 disabled:opacity-50">Varsayılana Dön</button>
+                    </div>
+                    <div className="flex gap-2">
+                        <button onClick={onClose} className="px-4 py-2 rounded-md bg-slate-200">İptal</button>
+                        <button onClick={handleSave} className="px-4 py-2 rounded-md bg-blue-600 text-white">Kaydet</button>
+                    </div>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+// Okutma listesine bir işlem günlüğü adımını uygular: removed kayıtları çıkarılır, added kayıtları eklenir.
+// Kayıt kimlikleri zamana göre sıralı olduğundan geri eklenen kayıtlar listedeki eski yerlerine döner;
+// listede zaten bulunan bir kayıt yeniden eklenirse tek kopya kalır.
+const SCAN_JOURNAL_LIMIT = 100;
+const applyScanDiff = (items, { added, removed }) => {
+    const removedIds = new Set([...removed, ...added].map(item => item.id));
+    return [...items.filter(item => !removedIds.has(item.id)), ...added].sort((a, b) => (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+};
+
+const SYNC_STATUS_LABELS = { off: ['Kapalı', 'bg-slate-400'], connecting: ['Bağlanıyor', 'bg-yellow-400'], connected: ['Bağlı', 'bg-green-500'], reconnecting: ['Yeniden bağlanıyor', 'bg-yellow-400'], error: ['Hata', 'bg-red-500'] };
+// Koha CSV dosyasının ilk satırları ve sütun eşlemesi; kodlama, ayırıcı veya sütunlar yanlış tespit
+// edildiyse kullanıcı değiştirebilir. Eşlemeler isim verilerek sonraki dosyalar için saklanabilir.
+const CsvPreviewPanel = ({ csvImport, disabled }) => {
+    const { preview, presets } = csvImport;
+    const [presetNameInput, setPresetNameInput] = useState('');
+    const hasBarcodeColumn = Boolean(preview.mapping.barkod);
+    const handleSavePreset = () => { csvImport.savePreset(presetNameInput); setPresetNameInput(''); };
+    return (
+        <div className="mt-3 p-4 border border-slate-200 rounded-lg bg-slate-50 space-y-3">
+            <div className="flex flex-wrap justify-between items-center gap-2">
+                <p className="text-sm font-semibold text-slate-700">Önizleme: {preview.fileName}</p>
+                <p className="text-xs text-slate-500">Algılanan: {getEncodingName(preview.detectedEncoding)}, {getDelimiterName(preview.detectedDelimiter)}</p>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <label className="text-sm text-slate-600">Karakter Kodlaması
+                    <select value={preview.encoding} onChange={(e) => csvImport.update({ encoding: e.target.value })} disabled={disabled} className="mt-1 w-full p-2 border border-slate-300 rounded-md text-sm">
+                        {CSV_ENCODINGS.map(encoding => <option key={encoding.id} value={encoding.id}>{encoding.name}</option>)}
+                    </select>
+                </label>
+                <label className="text-sm text-slate-600">Ayırıcı
+                    <select value={preview.delimiter} onChange={(e) => csvImport.update({ delimiter: e.target.value })} disabled={disabled} className="mt-1 w-full p-2 border border-slate-300 rounded-md text-sm">
+                        {CSV_DELIMITERS.map(delimiter => <option key={delimiter.id} value={delimiter.id}>{delimiter.name}</option>)}
+                    </select>
+                </label>
+            </div>
+            {preview.format === 'kbart' && <p className="text-xs text-slate-600">KBART başlık listesi algılandı. KBART materyal barkodu taşımadığı için Barkod alanını okutacağınız kimliğin bulunduğu sütuna eşleyin; bu sütunu boş olan satırlar yüklenmez.</p>}
+            <div className="overflow-x-auto max-h-64 border rounded-md bg-white">
+                <table className="min-w-full text-xs">
+                    <thead className="bg-slate-100 sticky top-0"><tr>{preview.fields.map(field => <th key={field} className="px-2 py-1 text-left font-semibold text-slate-700 whitespace-nowrap">{field}</th>)}</tr></thead>
+                    <tbody>{preview.rows.map((row, index) => <tr key={index} className="border-t">{preview.fields.map(field => <td key={field} className="px-2 py-1 text-slate-600 whitespace-nowrap max-w-xs truncate">{row[field]}</td>)}</tr>)}</tbody>
+                </table>
+            </div>
+            <div className="space-y-2">
+                <div className="flex flex-wrap justify-between items-center gap-2">
+                    <p className="text-sm font-semibold text-slate-700">Sütun Eşleme</p>
+                    {Object.keys(presets).length > 0 && (
+                        <select value={preview.presetName} onChange={(e) => e.target.value && csvImport.applyPreset(e.target.value)} disabled={disabled} className="p-1 border border-slate-300 rounded-md text-sm">
+                            <option value="">-- Kayıtlı eşleme --</option>
+                            {Object.keys(presets).map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                    )}
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    {KOHA_FIELDS.map(field => (
+                        <label key={field.id} className="text-sm text-slate-600">{field.name}{field.required && <span className="text-red-600"> *</span>}
+                            <select value={preview.mapping[field.id] || ''} onChange={(e) => csvImport.setMapping(field.id, e.target.value)} disabled={disabled} className="mt-1 w-full p-2 border border-slate-300 rounded-md text-sm">
+                                <option value="">-- Dosyada yok --</option>
+                                {preview.fields.map(column => <option key={column} value={column}>{column}</option>)}
+                            </select>
+                        </label>
+                    ))}
+                </div>
+                <div className="flex gap-2">
+                    <input type="text" value={presetNameInput} onChange={(e) => setPresetNameInput(e.target.value)} placeholder="Eşlemeyi kaydetmek için bir isim girin" className="flex-grow p-2 border border-slate-300 rounded-md text-sm" />
+                    <button onClick={handleSavePreset} disabled={disabled || !presetNameInput.trim()} className="px-3 py-2 text-sm rounded-md bg-slate-200 hover:bg-slate-300 disabled:text-slate-400">Eşlemeyi Kaydet</button>
+                </div>
+            </div>
+            {!hasBarcodeColumn && <p className="text-sm text-red-600">Barkod sütunu seçilmedi. Karakter kodlamasını veya ayırıcıyı değiştirmeyi ya da barkod sütununu elle seçmeyi deneyin.</p>}
+            <div className="flex justify-end gap-2">
+                <button onClick={csvImport.cancel} disabled={disabled} className="px-4 py-2 text-sm rounded-md bg-slate-200 hover:bg-slate-300">İptal</button>
+                <button onClick={csvImport.confirm} disabled={disabled || !hasBarcodeColumn} className="px-4 py-2 text-sm rounded-md bg-green-600 text-white hover:bg-green-700 disabled:bg-slate-400">Dosyayı Yükle</button>
+            </div>
+        </div>
+    );
+};
+
+// Veri toplayıcı dökümünün ilk satırları ve sütun düzeni; düzen bu cihazda saklanır ve sonraki dökümlerde kullanılır
+const formatCollectorCell = (value) => (value instanceof Date ? value.toLocaleString('tr-TR') : String(value ?? ''));
+const CollectorImportPanel = ({ collectorImport, disabled }) => {
+    const { preview, layout } = collectorImport;
+    const columnNumbers = Array.from({ length: preview.columnCount }, (_, index) => index + 1);
+    const sampleRow = preview.rows[layout.hasHeader ? 1 : 0];
+    const sampleValue = (field) => (sampleRow && layout.columns[field] > 0 ? sampleRow[layout.columns[field] - 1] : undefined);
+    const sampleTimestamp = sampleRow && layout.columns.date > 0 ? parseCollectorTimestamp(sampleValue('date'), sampleValue('time'), layout.dateOrder) : null;
+    const setColumn = (field, column) => collectorImport.updateLayout({ columns: { ...layout.columns, [field]: column } });
+    return (
+        <div className="mt-2 p-3 border border-slate-200 rounded-lg bg-white space-y-3 text-sm">
+            <p className="font-semibold text-slate-700">Önizleme: {preview.fileName} ({preview.rowCount} satır)</p>
+            <div className="grid grid-cols-2 gap-2">
+                <label className="text-xs text-slate-600">Ayırıcı
+                    <select value={layout.delimiter} onChange={(e) => collectorImport.updateLayout({ delimiter: e.target.value })} disabled={disabled} className="mt-1 w-full p-1 border border-slate-300 rounded-md">
+                        {CSV_DELIMITERS.map(delimiter => <option key={delimiter.id} value={delimiter.id}>{delimiter.name}</option>)}
+                    </select>
+                </label>
+                <label className="text-xs text-slate-600">Tarih biçimi
+                    <select value={layout.dateOrder} onChange={(e) => collectorImport.updateLayout({ dateOrder: e.target.value })} disabled={disabled} className="mt-1 w-full p-1 border border-slate-300 rounded-md">
+                        {Object.entries(DATE_ORDERS).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                    </select>
+                </label>
+            </div>
+            <label className="flex items-center gap-2 text-xs text-slate-600">
+                <input type="checkbox" checked={layout.hasHeader} onChange={(e) => collectorImport.updateLayout({ hasHeader: e.target.checked })} disabled={disabled} />
+                İlk satır başlık
+            </label>
+            <div className="overflow-x-auto max-h-40 border rounded-md">
+                <table className="min-w-full text-xs">
+                    <thead className="bg-slate-100 sticky top-0"><tr>{columnNumbers.map(column => <th key={column} className="px-2 py-1 text-left font-semibold text-slate-700">{column}</th>)}</tr></thead>
+                    <tbody>{preview.rows.map((row, index) => <tr key={index} className={`border-t ${layout.hasHeader && index === 0 ? 'text-slate-400' : 'text-slate-600'}`}>{columnNumbers.map(column => <td key={column} className="px-2 py-1 whitespace-nowrap max-w-xs truncate">{formatCollectorCell(row[column - 1])}</td>)}</tr>)}</tbody>
+                </table>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                {COLLECTOR_COLUMNS.map(field => (
+                    <label key={field.id} className="text-xs text-slate-600">{field.name}{field.required && <span className="text-red-600"> *</span>}
+                        <select value={layout.columns[field.id] || 0} onChange={(e) => setColumn(field.id, Number(e.target.value))} disabled={disabled} className="mt-1 w-full p-1 border border-slate-300 rounded-md">
+                            <option value={0}>-- Dosyada yok --</option>
+                            {columnNumbers.map(column => <option key={column} value={column}>{column}. sütun</option>)}
+                        </select>
+                    </label>
+                ))}
+            </div>
+            {layout.columns.date > 0 && sampleRow && <p className={`text-xs ${sampleTimestamp ? 'text-slate-500' : 'text-red-600'}`}>{sampleTimestamp ? `İlk kaydın okutma zamanı: ${new Date(sampleTimestamp).toLocaleString('tr-TR')}` : 'İlk kaydın tarihi okunamadı; tarih sütununu ve biçimini kontrol edin. Tarihi okunamayan kayıtlara içe aktarma zamanı verilir.'}</p>}
+            {!layout.columns.date && <p className="text-xs text-slate-500">Tarih sütunu seçilmedi; tüm kayıtlara içe aktarma zamanı verilir.</p>}
+            {layout.columns.location > 0 && <p className="text-xs text-slate-500">Lokasyonu dolu kayıtların yer kontrolü, sayımın lokasyonları yerine kaydın lokasyonuna göre yapılır.</p>}
+            <div className="flex justify-end gap-2">
+                <button onClick={collectorImport.cancel} disabled={disabled} className="px-3 py-1 rounded-md bg-slate-200 hover:bg-slate-300">İptal</button>
+                <button onClick={collectorImport.confirm} disabled={disabled || !layout.columns.barcode} className="px-3 py-1 rounded-md bg-green-600 text-white hover:bg-green-700 disabled:bg-slate-400">İçe Aktar</button>
+            </div>
+        </div>
+    );
+};
+
+// Sayım sırasında Koha listesini yenileme: yeni dosya yüklenir, listeler arasındaki farklar ve
+// uyarıları değişen okutmalar gösterilir.
+const KOHA_REFRESH_LIST_LIMIT = 100;
+const KOHA_FIELD_NAMES = Object.fromEntries(KOHA_FIELDS.map(field => [field.id, field.name]));
+const formatKohaValue = (field, value) => {
+    const maps = { materyal_statusu_kodu: MATERIAL_STATUS_MAP, odunc_verilebilirlik_kodu: LOAN_ELIGIBILITY_MAP, materyalin_yeri_kodu: LOCATION_CODE_MAP, odunc_durumu: { '0': 'Rafta', '1': 'Ödünçte' } };
+    const text = String(value ?? '');
+    return text === '' ? '—' : (maps[field]?.[text] || text);
+};
+const WarningBadges = ({ warnings }) => warnings.length === 0
+    ? <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-green-600 text-white">Uyarı yok</span>
+    : warnings.map(w => <span key={w.id} style={{ backgroundColor: w.color, color: '#fff' }} className="px-2 py-0.5 text-xs font-semibold rounded-full">{w.text}</span>);
+
+// Uyarıları değişen okutmalar: önceki → yeni uyarılar
+const ChangedScansList = ({ changed }) => changed.length > 0 && (
+    <div>
+        <h4 className="font-semibold text-slate-700 mb-1">Uyarıları Değişen Okutmalar</h4>
+        <ul className="max-h-60 overflow-y-auto divide-y border rounded-md text-sm">
+            {changed.slice(0, KOHA_REFRESH_LIST_LIMIT).map(({ before, after }) => (
+                <li key={after.id} className="p-2 space-y-1">
+                    <p className="font-mono text-slate-800">{after.barcode}</p>
+                    <div className="flex flex-wrap items-center gap-1"><WarningBadges warnings={before.warnings} /><span className="text-slate-500">→</span><WarningBadges warnings={after.warnings} /></div>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+// "Uyarıları yeniden hesapla" sonucu: uyarı türlerine göre önceki ve yeni sayılar
+const ReevaluationModal = ({ result, onClose }) => (
+    <Modal isOpen={Boolean(result)} onClose={onClose} wide>
+        {result && (
+            <div className="p-5 space-y-4">
+                <h3 className="text-lg font-bold">Uyarılar Yeniden Hesaplandı</h3>
+                <p className="text-sm text-slate-600">{result.total} okutmadan {result.changed.length} tanesinin uyarıları değişti.</p>
+                {result.counts.length > 0 && (
+                    <table className="w-full text-sm border rounded-md">
+                        <thead className="bg-slate-100"><tr><th className="p-2 text-left">Uyarı</th><th className="p-2 text-right">Önce</th><th className="p-2 text-right">Sonra</th><th className="p-2 text-right">Fark</th></tr></thead>
+                        <tbody>
+                            {result.counts.map(({ id, text, before, after }) => (
+                                <tr key={id} className="border-t">
+                                    <td className="p-2">{text}</td>
+                                    <td className="p-2 text-right">{before}</td>
+                                    <td className="p-2 text-right">{after}</td>
+                                    <td className={`p-2 text-right font-semibold ${after > before ? 'text-red-600' : after < before ? 'text-green-600' : 'text-slate-500'}`}>{after - before > 0 ? '+' : ''}{after - before}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                <ChangedScansList changed={result.changed} />
+                {result.changed.length > KOHA_REFRESH_LIST_LIMIT && <p className="text-xs text-slate-500">Listede ilk {KOHA_REFRESH_LIST_LIMIT} kayıt gösterilmektedir.</p>}
+                <div className="flex justify-end"><button onClick={onClose} className="px-4 py-2 rounded-md bg-slate-200 hover:bg-slate-300">Kapat</button></div>
+            </div>
+        )}
+    </Modal>
+);
+
+const KohaRefreshModal = ({ isOpen, onClose, onFileAccepted, csvImport, result, error, isLoading }) => {
+    const accept = { 'text/csv': ['.csv'], 'text/tab-separated-values': ['.tsv', '.txt', '.kbart'], 'application/marc': ['.mrc', '.marc', '.iso'], 'application/xml': ['.xml', '.marcxml'] };
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} wide>
+            <div className="p-5 space-y-4">
+                <h3 className="text-lg font-bold">Koha Listesini Yenile</h3>
+                {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded text-sm" role="alert">{error}</div>}
+                {!result ? (
+                    <>
+                        <p className="text-sm text-slate-600">Koha'dan aldığınız güncel sayım dosyasını (.csv) veya MARC dışa aktarımını yükleyin. Yeni liste oturumun listesinin yerine geçer ve tüm okutmaların uyarıları yeni listeye göre yeniden hesaplanır. İşlem okutma ekranından geri alınabilir.</p>
+                        <FileUploader onFileAccepted={(files) => onFileAccepted(files[0])} title="Güncel dosyayı buraya sürükleyin veya seçmek için tıklayın" disabled={isLoading} accept={accept} />
+                        {csvImport.preview?.refresh && <CsvPreviewPanel csvImport={csvImport} disabled={isLoading} />}
+                    </>
+                ) : (
+                    <>
+                        <p className="text-sm text-slate-600"><span className="font-semibold">{result.fileName}</span> yüklendi.</p>
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-center">
+                            {[['Yeni Eklenen', result.listDiff.added.length], ['Listeden Çıkan', result.listDiff.removed.length], ['Durumu Değişen', result.listDiff.changed.length], ['Sonucu Değişen Okutma', result.changed.length]].map(([label, count]) => (
+                                <div key={label} className="p-3 bg-slate-100 rounded-md"><p className="text-2xl font-bold text-slate-800">{count}</p><p className="text-xs text-slate-600">{label}</p></div>
+                            ))}
+                        </div>
+                        <ChangedScansList changed={result.changed} />
+                        {result.listDiff.changed.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold text-slate-700 mb-1">Durumu Değişen Materyaller</h4>
+                                <ul className="max-h-60 overflow-y-auto divide-y border rounded-md text-sm">
+                                    {result.listDiff.changed.slice(0, KOHA_REFRESH_LIST_LIMIT).map(item => (
+                                        <li key={item.barcode} className="p-2">
+                                            <p><span className="font-mono text-slate-800">{item.barcode}</span> <span className="text-slate-600">{item.title}</span></p>
+                                            {item.fields.map(({ field, before, after }) => <p key={field} className="text-xs text-slate-500">{KOHA_FIELD_NAMES[field] || field}: {formatKohaValue(field, before)} → <span className="font-semibold text-slate-700">{formatKohaValue(field, after)}</span></p>)}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                        {[['Yeni Eklenen Materyaller', result.listDiff.added], ['Listeden Çıkan Materyaller', result.listDiff.removed]].filter(([, rows]) => rows.length > 0).map(([title, rows]) => (
+                            <div key={title}>
+                                <h4 className="font-semibold text-slate-700 mb-1">{title}</h4>
+                                <ul className="max-h-40 overflow-y-auto divide-y border rounded-md text-sm">
+                                    {rows.slice(0, KOHA_REFRESH_LIST_LIMIT).map(row => <li key={row.barkod} className="p-2"><span className="font-mono text-slate-800">{row.barkod}</span> <span className="text-slate-600">{row['eser_adi']}</span></li>)}
+                                </ul>
+                            </div>
+                        ))}
+                        {[result.changed, result.listDiff.changed, result.listDiff.added, result.listDiff.removed].some(list => list.length > KOHA_REFRESH_LIST_LIMIT) && <p className="text-xs text-slate-500">Listelerde ilk {KOHA_REFRESH_LIST_LIMIT} kayıt gösterilmektedir.</p>}
+                    </>
+                )}
+                <div className="flex justify-end"><button onClick={onClose} disabled={isLoading} className="px-4 py-2 rounded-md bg-slate-200 hover:bg-slate-300">{result ? 'Kapat' : 'İptal'}</button></div>
+            </div>
+        </Modal>
+    );
+};
+
+const SyncPanel = ({ sync }) => {
+    const [urlInput, setUrlInput] = useState(sync.serverUrl);
+    const [tokenInput, setTokenInput] = useState(sync.token);
+    const [label, color] = SYNC_STATUS_LABELS[sync.state] || SYNC_STATUS_LABELS.off;
+    return (
+        <div className="p-3 bg-slate-100 rounded-md space-y-2">
+            <div className="flex justify-between items-center">
+                <p className="font-semibold text-slate-700">Ortak Sayım</p>
+                <span className="flex items-center gap-1 text-xs text-slate-600"><span className={`w-2 h-2 rounded-full ${color}`}></span>{label}</span>
+            </div>
+            {sync.enabled
+                ? <div className="flex justify-between items-center gap-2"><span className="text-xs text-slate-600 break-all">{sync.serverUrl}</span><button onClick={sync.disconnect} className="px-2 py-1 text-xs bg-slate-300 rounded hover:bg-slate-400">Ayrıl</button></div>
+                : <form onSubmit={(e) => { e.preventDefault(); if (urlInput.trim() && tokenInput.trim()) sync.connect(urlInput.trim(), tokenInput.trim()); }} className="space-y-2">
+                    <input type="url" value={urlInput} onChange={e => setUrlInput(e.target.value)} placeholder="https://192.168.1.10:8787" className="w-full p-2 border border-slate-300 rounded-md text-sm" />
+                    <div className="flex gap-2">
+                        <input type="password" value={tokenInput} onChange={e => setTokenInput(e.target.value)} placeholder="Erişim anahtarı" autoComplete="off" className="w-full p-2 border border-slate-300 rounded-md text-sm" />
+                        <button type="submit" disabled={!urlInput.trim() || !tokenInput.trim()} className="px-3 text-sm bg-slate-600 text-white rounded-md hover:bg-slate-700 disabled:bg-slate-400">Katıl</button>
+                    </div>
+                </form>}
+            {sync.enabled && sync.message && sync.state !== 'connected' && <p className="text-xs text-red-600">{sync.message}</p>}
+            <p className="text-xs text-slate-500">Aynı sunucuya aynı sayım adıyla katılan cihazların okutmaları birleştirilir. Erişim anahtarı sunucu başlatılırken konsola yazılır.</p>
+        </div>
+    );
+};
 
 const transformReportData = (data) => {
     if (!Array.isArray(data)) return [];
@@ -1677,7 +2268,7 @@ const FullScreenLoader = ({ text, progress }) => (
             {progress && progress.total > 0 && (
                 <div className="w-full text-center mt-2">
                     <div className="w-full bg-slate-200 rounded-full h-2.5"><div className="bg-slate-600 h-2.5 rounded-full" style={{ width: `${(progress.current / progress.total) * 100}%` }}></div></div>
-                    <p className="text-sm text-slate-600 mt-2 font-mono">{`${progress.current} / ${progress.total}`}</p>
+                    <p className="text-sm text-slate-600 mt-2 font-mono">{progress.unit === '%' ? `%${progress.current}` : `${progress.current} / ${progress.total}`}</p>
                 </div>
             )}
         </div>
@@ -1717,9 +2308,10 @@ const PermissionScreen = ({ onDecision }) => {
         try {
              const stream = await navigator.mediaDevices.getUserMedia({ video: true });
              stream.getTracks().forEach(track => track.stop());
-             setMessage({ text: '✅ Kamera testi başarılı, sonraki aşamaya geçiriliyorsunuz...', type: 'success' });
+             const engine = await getDetectorEngine();
+             setMessage({ text: `✅ Kamera testi başarılı. Barkod çözücü: ${DETECTOR_ENGINE_NAMES[engine]}. Sonraki aşamaya geçiriliyorsunuz...`, type: 'success' });
              setStep('test_success');
-             setTimeout(() => { handleDecision(true); }, 2000);
+             setTimeout(() => { handleDecision(true); }, 3000);
         } catch(err) {
             setMessage({ text: '❌ Kamera testi başarısız oldu. Lütfen sayfayı yenileyip tekrar deneyin.', type: 'error' });
             setStep('permission_denied');
@@ -1881,7 +2473,30 @@ const InstallPopup = ({ onInstall, onDismiss }) => (
     </div>
 );
 
-const StartScreen = ({ sessions, sessionNameInput, setSessionNameInput, startNewSession, error, setError, loadSession, deleteSession, selectedLibrary, setSelectedLibrary, libraryOptions, setAddDataModal, selectedLocation, setSelectedLocation, locationOptions, kohaData, handleCsvUpload, isPapaParseReady, isLoading }) => {
+// Sayımın lokasyonları: seçilenler etiket olarak listelenir, listeden yenileri eklenir. Hiçbiri seçilmezse tüm lokasyonlar sayılır.
+const LocationMultiSelect = ({ id, selectedLocations, onChange, locationOptions, className }) => {
+    const names = new Map(locationOptions);
+    return (
+        <div className="w-full space-y-2">
+            <select id={id} value="" onChange={(e) => e.target.value && onChange([...selectedLocations, e.target.value])} className={className}>
+                <option value="">{selectedLocations.length > 0 ? '-- Lokasyon ekle --' : '-- Tüm Lokasyonlar --'}</option>
+                {locationOptions.filter(([code]) => !selectedLocations.includes(code)).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+            </select>
+            {selectedLocations.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                    {selectedLocations.map(code => (
+                        <span key={code} className="inline-flex items-center gap-1 px-2 py-1 text-xs bg-slate-200 text-slate-800 rounded-full">
+                            {names.get(code) || code}
+                            <button type="button" onClick={() => onChange(selectedLocations.filter(selected => selected !== code))} className="text-slate-500 hover:text-red-600" aria-label={`${names.get(code) || code} lokasyonunu kaldır`}>×</button>
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const StartScreen = ({ sessions, sessionNameInput, setSessionNameInput, startNewSession, error, setError, loadSession, deleteSession, selectedLibrary, setSelectedLibrary, libraryOptions, setAddDataModal, barcodeProfiles, libraryBarcodeProfiles, setLibraryProfile, setIsBarcodeProfileModalOpen, setIsWarningRulesModalOpen, selectedLocations, setSelectedLocations, locationOptions, kohaData, handleKohaFileUpload, csvImport, isLoading }) => {
     const isReadyToName = selectedLibrary && kohaData.length > 0;
     const isButtonDisabled = !sessionNameInput || !isReadyToName;
 
@@ -1903,26 +2518,33 @@ const StartScreen = ({ sessions, sessionNameInput, setSessionNameInput, startNew
                             </select>
                             <button onClick={()=> setAddDataModal({isOpen: true, type: 'library'})} className="px-3 bg-slate-200 rounded-md hover:bg-slate-300">Yeni Ekle</button>
                         </div>
-                      
+                        {selectedLibrary && (
+                            <div className="flex gap-2 mt-2 items-center">
+                                <label htmlFor="barcode-profile-select" className="text-sm text-slate-600 whitespace-nowrap">Barkod Yapısı</label>
+                                <select id="barcode-profile-select" value={libraryBarcodeProfiles[selectedLibrary] || DEFAULT_BARCODE_PROFILE_ID} onChange={(e) => setLibraryProfile(selectedLibrary, e.target.value)} className="w-full p-2 border border-slate-300 rounded-md shadow-sm text-sm">
+                                    {Object.values(barcodeProfiles).map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+                                </select>
+                                <button onClick={() => setIsBarcodeProfileModalOpen(true)} className="px-3 py-2 text-sm bg-slate-200 rounded-md hover:bg-slate-300 whitespace-nowrap">Yeni Profil</button>
+                                <button onClick={() => setIsWarningRulesModalOpen(true)} className="px-3 py-2 text-sm bg-slate-200 rounded-md hover:bg-slate-300 whitespace-nowrap">Uyarı Kuralları</button>
+                            </div>
+                        )}
                     </div>
                     <div>
                         <label htmlFor="location-select" className="block text-sm font-medium text-slate-700 mb-1">Bölüm/Materyalin Yeri (Opsiyonel)</label>
                         <div className="flex gap-2">
-                            <select id="location-select" value={selectedLocation} onChange={(e) => setSelectedLocation(e.target.value)} className="w-full p-3 border border-slate-300 rounded-md shadow-sm">
-                                <option value="">-- Tüm Lokasyonlar --</option>
-                                {locationOptions.map(([code, name]) => <option key={code} value={code}>{name}</option>)}
-                            </select>
-                            <button onClick={()=> setAddDataModal({isOpen: true, type: 'location'})} className="px-3 bg-slate-200 rounded-md hover:bg-slate-300">Yeni Ekle</button>
+                            <LocationMultiSelect id="location-select" selectedLocations={selectedLocations} onChange={setSelectedLocations} locationOptions={locationOptions} className="w-full p-3 border border-slate-300 rounded-md shadow-sm" />
+                            <button onClick={()=> setAddDataModal({isOpen: true, type: 'location'})} className="px-3 bg-slate-200 rounded-md hover:bg-slate-300 self-start py-3">Yeni Ekle</button>
                         </div>
-                        <p className="text-xs text-slate-500 mt-1">Yer seçimi yaparsanız, sayım yaptığınız yerde olmayan materyallerle ilgili uyarı verilecektir.</p>
+                        <p className="text-xs text-slate-500 mt-1">Yer seçimi yaparsanız, sayım yaptığınız yerde olmayan materyallerle ilgili uyarı verilecektir. Aynı alanda birden fazla bölümün materyalleri duruyorsa hepsini ekleyin.</p>
                       
                     </div>
                     <div>
                         <div className="flex justify-between items-center mb-2">
-                        <h3 className="text-sm font-medium text-slate-700">Koha'dan Aldığınız Sayım İçin Hazırlanmış Dosya (.csv)</h3>
+                        <h3 className="text-sm font-medium text-slate-700">Koha'dan Aldığınız Sayım İçin Hazırlanmış Dosya (.csv) veya MARC Dışa Aktarımı (.mrc, MARCXML)</h3>
                         <a href="https://personel.ekutuphane.gov.tr/cgi-bin/koha/reports/mir_envanter.pl" target="_blank" rel="noopener noreferrer" className="px-2 py-1 text-xs bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition-colors">Sayım için materyal dosyasını indirmek için tıklayınız.</a>
                         </div>
-                        <FileUploader onFileAccepted={(files) => handleCsvUpload(files[0])} title={kohaData.length > 0 ? `${kohaData.length} kayıt yüklendi.` : "Dosyayı buraya sürükleyin veya seçmek için tıklayın"} disabled={!isPapaParseReady || isLoading} accept={{'text/csv': ['.csv']}}><svg xmlns="http://www.w3.org/2000/svg" className="mx-auto h-12 w-12 text-green-700" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" /></svg></FileUploader>
+                        <FileUploader onFileAccepted={(files) => handleKohaFileUpload(files[0])} title={kohaData.length > 0 ? `${kohaData.length} kayıt yüklendi.` : "Dosyayı buraya sürükleyin veya seçmek için tıklayın"} disabled={isLoading} accept={{'text/csv': ['.csv'], 'text/tab-separated-values': ['.tsv', '.txt', '.kbart'], 'application/marc': ['.mrc', '.marc', '.iso'], 'application/xml': ['.xml', '.marcxml']}}><svg xmlns="http://www.w3.org/2000/svg" className="mx-auto h-12 w-12 text-green-700" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" /></svg></FileUploader>
+                        {csvImport.preview && <CsvPreviewPanel csvImport={csvImport} disabled={isLoading} />}
                     </div>
                      <div>
                         <input 
@@ -1947,21 +2569,21 @@ const StartScreen = ({ sessions, sessionNameInput, setSessionNameInput, startNew
             </div>
             <div className="bg-white p-6 rounded-lg shadow-sm border">
                 <h2 className="text-2xl font-semibold mb-4 text-slate-700">Kayıtlı Oturumlar</h2>
-                {Object.keys(sessions).length > 0 ? <ul className="space-y-3 max-h-60 overflow-y-auto pr-2">{Object.values(sessions).sort((a,b) => new Date(b.lastUpdated) - new Date(a.lastUpdated)).map(session => <li key={session.name} className="flex flex-col sm:flex-row items-center justify-between p-3 bg-slate-50 rounded-lg border"><div><p className="font-bold text-slate-800">{session.name}</p><p className="text-sm text-slate-500">{new Date(session.lastUpdated).toLocaleString('tr-TR')} - {session.items.length} kayıt</p></div><div className="flex gap-2 mt-2 sm:mt-0"><button onClick={() => loadSession(session.name)} className="px-4 py-2 text-sm bg-green-600 text-white rounded hover:bg-green-700">Yükle</button><button onClick={() => deleteSession(session.name)} className="px-4 py-2 text-sm bg-red-600 text-white rounded hover:bg-red-700">Sil</button></div></li>)}</ul> : <p className="text-slate-500">Kayıtlı oturum bulunamadı.</p>}
+                {Object.keys(sessions).length > 0 ? <ul className="space-y-3 max-h-60 overflow-y-auto pr-2">{Object.values(sessions).sort((a,b) => new Date(b.lastUpdated) - new Date(a.lastUpdated)).map(session => <li key={session.name} className="flex flex-col sm:flex-row items-center justify-between p-3 bg-slate-50 rounded-lg border"><div><p className="font-bold text-slate-800">{session.name}</p><p className="text-sm text-slate-500">{new Date(session.lastUpdated).toLocaleString('tr-TR')} - {session.itemCount || 0} kayıt</p></div><div className="flex gap-2 mt-2 sm:mt-0"><button onClick={() => loadSession(session.name)} className="px-4 py-2 text-sm bg-green-600 text-white rounded hover:bg-green-700">Yükle</button><button onClick={() => deleteSession(session.name)} className="px-4 py-2 text-sm bg-red-600 text-white rounded hover:bg-red-700">Sil</button></div></li>)}</ul> : <p className="text-slate-500">Kayıtlı oturum bulunamadı.</p>}
             </div>
         </div>
     </div>
     );
 };
 
-const ReportCard = ({ report, isReady }) => (
+const ReportCard = ({ report }) => (
     <div key={report.id} className="bg-white border border-slate-200 rounded-lg p-4 transition-shadow hover:shadow-md">
         <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
             <div className="flex items-center gap-4 flex-grow">
                 <div className="text-slate-600 flex-shrink-0 w-6 h-6">{report.icon}</div>
                 <div><h4 className="font-bold text-slate-800">{report.title}</h4><p className="text-sm text-slate-500">Format: {report.format}</p></div>
             </div>
-            <div className="flex-shrink-0 mt-2 sm:mt-0"><button onClick={report.generator} disabled={!isReady} className="flex items-center gap-2 bg-slate-700 text-white font-semibold px-4 py-2 rounded-md hover:bg-slate-800 disabled:bg-slate-400 transition-colors">{ICONS.download} İndir</button></div>
+            <div className="flex-shrink-0 mt-2 sm:mt-0"><button onClick={report.generator} className="flex items-center gap-2 bg-slate-700 text-white font-semibold px-4 py-2 rounded-md hover:bg-slate-800 disabled:bg-slate-400 transition-colors">{ICONS.download} İndir</button></div>
         </div>
         <div className="mt-3 pt-3 border-t border-slate-200 text-sm text-slate-600 space-y-2">
             <p>{report.description}</p>
@@ -1972,47 +2594,132 @@ const ReportCard = ({ report, isReady }) => (
 );
 
 
-const PreReportsScreen = ({ currentSessionName, error, setPage, preAnalysisReports, isXlsxReady }) => (
+const PreReportsScreen = ({ currentSessionName, error, setPage, preAnalysisReports }) => (
     <div className="max-w-3xl mx-auto w-full p-8 bg-white rounded-lg shadow-sm space-y-6 border">
         <h1 className="text-3xl font-bold text-slate-800">Ön Raporlar: "{currentSessionName}"</h1>
         {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded" role="alert"><p>{error}</p></div>}
         <button onClick={() => setPage('check-returns')} className="w-full font-bold py-3 px-4 rounded-md transition-colors bg-green-600 text-white hover:bg-green-700">Sayıma Devam Et</button>
         <div className="mt-6 pt-6 border-t">
             <p className="text-sm text-slate-500 mb-4">Bu raporlar, yüklediğiniz dosyaya göre oluşturulmuştur ve sayım işleminden bağımsızdır. Koleksiyonunuzun mevcut durumu hakkında ön bilgi sağlarlar.</p>
-            <div className="space-y-4">{preAnalysisReports.map(report => (<ReportCard key={report.id} report={report} isReady={isXlsxReady} />))}</div>
+            <div className="space-y-4">{preAnalysisReports.map(report => (<ReportCard key={report.id} report={report} />))}</div>
         </div>
         <button onClick={() => setPage('check-returns')} className="w-full font-bold py-3 px-4 rounded-md transition-colors bg-green-600 text-white hover:bg-green-700">Sayıma Devam Et</button>
     </div>
 );
 
-const ScanScreen = ({ isCameraOpen, isQrCodeReady, isCameraAllowed, setIsCameraOpen, handleCameraScan, warningModal, currentSessionName, combinedLibraries, selectedLibrary, combinedLocations, selectedLocation, barcodeInput, handleBarcodeInput, handleManualEntry, lastScanned, handleBulkUpload, isBulkLoading, setPage, scannedItems, filteredScannedItems, searchTerm, setSearchTerm, warningFilter, setWarningFilter, handleDeleteItem, handleClearAllScans, fileUploaderKey, kohaDataMap, isXlsxReady }) => {
+const ScanScreen = ({ isCameraOpen, isCameraAllowed, setIsCameraOpen, handleCameraScan, warningModal, currentSessionName, combinedLibraries, selectedLibrary, combinedLocations, selectedLocations, barcodeInput, handleBarcodeInput, handleManualEntry, lastScanned, handleBulkUpload, isBulkLoading, setPage, scannedItems, filteredScannedItems, searchTerm, setSearchTerm, warningFilter, setWarningFilter, handleDeleteItem, handleClearAllScans, scanJournal, handleUndo, handleRedo, checkShelfOrder, toggleShelfOrderCheck, segments, activeSegment, openSegment, closeSegment, sync, openKohaRefresh, changeScanScope, handleRecomputeWarnings, areWarningsStale, fileUploaderKey, kohaDataMap, activeWarningRules, setIsWarningRulesModalOpen, isContinuousCamera, toggleContinuousCamera, handlePendingCameraCodes, pendingCameraCodes, setPendingCameraCodes, processPendingCameraCodes, handlePhotoScan, wedgeSettings, updateWedgeSettings, collectorImport }) => {
     const bulkUploadTitle = "Toplu barkod(12 veya 13 haneli) içeren not defteri(.txt) veya Excel(.xlsx) dosyası yüklemek için tıklayın";
     const bulkUploadAccept = {
         'text/plain': ['.txt'],
         'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
         'application/vnd.ms-excel': ['.xls']
     };
+    const collectorUploadAccept = { ...bulkUploadAccept, 'text/csv': ['.csv'] };
     const [visibleItemsCount, setVisibleItemsCount] = useState(100);
+    const [segmentInput, setSegmentInput] = useState('');
+    const [isEditingScope, setIsEditingScope] = useState(false);
+    const [photoScanMessage, setPhotoScanMessage] = useState('');
+    const handlePhotoInput = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setPhotoScanMessage('Fotoğraf okunuyor...');
+        handlePhotoScan(file)
+            .then(codes => setPhotoScanMessage(codes.length === 0 ? 'Fotoğrafta barkod bulunamadı.' : `Fotoğrafta ${codes.length} barkod bulundu: ${codes.join(', ')}`))
+            .catch(err => setPhotoScanMessage(err.message));
+    };
+    // Kütüphaneye özel kuralların uyarıları da filtrelenebilsin
+    const warningFilterOptions = useMemo(() => [...new Map([...Object.values(WARNING_DEFINITIONS), ...activeWarningRules].map(w => [w.id, w])).values()], [activeWarningRules]);
     useEffect(() => { setVisibleItemsCount(100); }, [searchTerm, warningFilter]);
+    const activeSegmentCount = useMemo(() => (activeSegment ? scannedItems.filter(item => item.segment === activeSegment).length : 0), [scannedItems, activeSegment]);
 
     return (
         <>
-            {isCameraOpen && isQrCodeReady && isCameraAllowed && <RobustBarcodeScanner onClose={() => setIsCameraOpen(false)} onScan={handleCameraScan} isPaused={warningModal.isOpen} />}
+            {isCameraOpen && isCameraAllowed && (isContinuousCamera
+                ? <ContinuousBarcodeScanner onClose={() => setIsCameraOpen(false)} onScan={handleCameraScan} isPaused={warningModal.isOpen} onPendingCodes={handlePendingCameraCodes} />
+                : <RobustBarcodeScanner onClose={() => setIsCameraOpen(false)} onScan={handleCameraScan} isPaused={warningModal.isOpen} />)}
             <div className="flex flex-col md:flex-row h-full bg-slate-50">
                 <div className="w-full md:w-1/3 lg:w-1/4 p-4 bg-white border-r flex flex-col h-full">
                     <div className="flex-1 overflow-y-auto pr-2 space-y-4">
                         <h2 className="text-xl font-bold text-slate-800">Sayım: {currentSessionName}</h2>
                         <div className="text-sm text-slate-600">
                             <p><span className="font-semibold">Kütüphane:</span> {combinedLibraries.get(selectedLibrary)}</p>
-                            <p><span className="font-semibold">Lokasyon:</span> {selectedLocation ? combinedLocations.get(selectedLocation) : 'Tümü'}</p>
+                            <p><span className="font-semibold">Lokasyon:</span> {selectedLocations.length > 0 ? selectedLocations.map(code => combinedLocations.get(code) || code).join(', ') : 'Tümü'}</p>
+                            <button onClick={() => setIsEditingScope(prev => !prev)} className="text-xs text-blue-600 hover:underline">{isEditingScope ? 'Ayarları gizle' : 'Kütüphane / lokasyon değiştir'}</button>
                         </div>
-                        <button onClick={() => setIsCameraOpen(true)} disabled={!isQrCodeReady || !isCameraAllowed} className="w-full flex items-center justify-center gap-2 p-2 bg-slate-700 text-white rounded-md hover:bg-slate-800 disabled:bg-slate-400 disabled:cursor-not-allowed"><svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" /></svg> Kamera İle Barkod Okutma</button>
+                        {(isEditingScope || areWarningsStale) && (
+                            <div className="p-3 bg-slate-100 rounded-md space-y-2 text-sm">
+                                {isEditingScope && (
+                                    <>
+                                        <select value={selectedLibrary} onChange={(e) => changeScanScope('library', e.target.value)} className="w-full p-2 border border-slate-300 rounded-md">
+                                            {[...combinedLibraries].map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                                        </select>
+                                        <LocationMultiSelect selectedLocations={selectedLocations} onChange={(locations) => changeScanScope('locations', locations)} locationOptions={[...combinedLocations]} className="w-full p-2 border border-slate-300 rounded-md" />
+                                        <button onClick={() => setIsWarningRulesModalOpen(true)} className="w-full p-2 bg-slate-200 rounded-md hover:bg-slate-300">Uyarı Kurallarını Düzenle</button>
+                                    </>
+                                )}
+                                {areWarningsStale && <p className="text-xs text-orange-700">Ayarlar değişti. Önceki okutmaların uyarıları eski ayarlara göre; güncellemek için yeniden hesaplayın.</p>}
+                                <button onClick={handleRecomputeWarnings} disabled={scannedItems.length === 0} className="w-full p-2 bg-slate-600 text-white rounded-md hover:bg-slate-700 disabled:bg-slate-400">Uyarıları Yeniden Hesapla</button>
+                            </div>
+                        )}
+                        <button onClick={() => setIsCameraOpen(true)} disabled={!isCameraAllowed} className="w-full flex items-center justify-center gap-2 p-2 bg-slate-700 text-white rounded-md hover:bg-slate-800 disabled:bg-slate-400 disabled:cursor-not-allowed"><svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" /></svg> Kamera İle Barkod Okutma</button>
                         {!isCameraAllowed && (<div className="mt-2 text-xs text-center text-red-800 bg-red-100 p-2 rounded-lg border border-red-200"><p className="font-semibold"><a href="#" onClick={(e) => { e.preventDefault(); localStorage.removeItem('cameraPermissionChoiceMade'); localStorage.removeItem('cameraPermissionStatus'); window.location.reload(); }} className="underline hover:text-red-900">Kamera İzni Vermek İçin Tıklayın.</a></p><p className="font-bold mt-1">Not: Tüm işlemler sıfırlanacaktır.</p></div>)}
+                        <label className="w-full flex items-center justify-center gap-2 p-2 bg-slate-200 text-slate-800 rounded-md hover:bg-slate-300 cursor-pointer text-sm">
+                            <input type="file" accept="image/*" onChange={handlePhotoInput} className="hidden" />
+                            Fotoğraftan Oku
+                        </label>
+                        {photoScanMessage && <p className="text-xs text-slate-600">{photoScanMessage}</p>}
+                        <label className="flex items-start gap-2 text-sm text-slate-700">
+                            <input type="checkbox" checked={isContinuousCamera} onChange={e => toggleContinuousCamera(e.target.checked)} className="mt-1" />
+                            <span>Sürekli tarama (raf modu)<span className="block text-xs text-slate-500">Kamera açık kalır, görüntüdeki barkodlar sırayla okunur. Yalnızca engelleyici uyarılarda kapanır.</span></span>
+                        </label>
+                        {pendingCameraCodes.length > 0 && (
+                            <div className="p-3 bg-orange-50 border border-orange-200 rounded-md text-sm space-y-2">
+                                <p className="text-orange-800">Kamera kapandığında {pendingCameraCodes.length} barkod henüz işlenmemişti: <span className="font-mono">{pendingCameraCodes.join(', ')}</span></p>
+                                <div className="flex gap-2">
+                                    <button onClick={processPendingCameraCodes} className="flex-1 p-1 bg-slate-600 text-white rounded-md hover:bg-slate-700">İşle</button>
+                                    <button onClick={() => setPendingCameraCodes([])} className="flex-1 p-1 bg-slate-200 rounded-md hover:bg-slate-300">Yok Say</button>
+                                </div>
+                            </div>
+                        )}
+                        <div className="p-3 bg-slate-100 rounded-md space-y-2">
+                            <p className="font-semibold text-slate-700">Raf / Bölüm</p>
+                            {activeSegment
+                                ? <div className="flex justify-between items-center gap-2 text-sm"><span>Açık: <span className="font-semibold">{activeSegment}</span> ({activeSegmentCount} okutma)</span><button onClick={closeSegment} className="px-2 py-1 text-xs bg-slate-300 rounded hover:bg-slate-400">Kapat</button></div>
+                                : <p className="text-xs text-slate-500">Okutmaları raf bazında izlemek için okutmaya başlamadan önce bir raf/bölüm açın.</p>}
+                            <form onSubmit={(e) => { e.preventDefault(); openSegment(segmentInput); setSegmentInput(''); }} className="flex gap-2">
+                                <input type="text" list="segment-names" value={segmentInput} onChange={e => setSegmentInput(e.target.value)} placeholder="Örn: Raf 12-A" className="w-full p-2 border border-slate-300 rounded-md text-sm" />
+                                <datalist id="segment-names">{segments.map(name => <option key={name} value={name} />)}</datalist>
+                                <button type="submit" disabled={!segmentInput.trim()} className="px-3 text-sm bg-slate-600 text-white rounded-md hover:bg-slate-700 disabled:bg-slate-400">Aç</button>
+                            </form>
+                        </div>
                         <form onSubmit={handleManualEntry} className="space-y-2">
                             <label htmlFor="barcode-input" className="font-semibold text-slate-700">Barkod Okut/Gir:</label>
                             <input id="barcode-input" type="tel" value={barcodeInput} onChange={handleBarcodeInput} placeholder="Barkodu okutun veya elle girin" className="w-full p-2 border border-slate-300 rounded-md" autoFocus />
                             <button type="submit" className="w-full bg-slate-600 text-white p-2 rounded-md hover:bg-slate-700">Ekle</button>
                         </form>
+                        <div className="p-3 bg-slate-100 rounded-md space-y-2 text-sm text-slate-700">
+                            <label className="flex items-start gap-2">
+                                <input type="checkbox" checked={wedgeSettings.enabled} onChange={e => updateWedgeSettings({ enabled: e.target.checked })} className="mt-1" />
+                                <span>El tipi okuyucu modu<span className="block text-xs text-slate-500">USB/Bluetooth okuyuculardan gelen barkodlar, odak giriş kutusunda olmasa da yakalanır; art arda okutmalar birbirine karışmaz.</span></span>
+                            </label>
+                            {wedgeSettings.enabled && (
+                                <div className="grid grid-cols-2 gap-2">
+                                    <label className="text-xs text-slate-600">Bitiş tuşu
+                                        <select value={wedgeSettings.terminator} onChange={e => updateWedgeSettings({ terminator: e.target.value })} className="mt-1 w-full p-1 border border-slate-300 rounded-md">
+                                            {Object.entries(WEDGE_TERMINATORS).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                                        </select>
+                                    </label>
+                                    <label className="text-xs text-slate-600">Tuşlar arası en fazla (ms)
+                                        <input type="number" min="10" max="200" value={wedgeSettings.maxKeyInterval} onChange={e => updateWedgeSettings({ maxKeyInterval: Math.min(200, Math.max(10, parseInt(e.target.value, 10) || DEFAULT_WEDGE_SETTINGS.maxKeyInterval)) })} className="mt-1 w-full p-1 border border-slate-300 rounded-md" />
+                                    </label>
+                                </div>
+                            )}
+                        </div>
+                        <label className="flex items-start gap-2 text-sm text-slate-700">
+                            <input type="checkbox" checked={checkShelfOrder} onChange={e => toggleShelfOrderCheck(e.target.checked)} className="mt-1" />
+                            <span>Raf sırası kontrolü<span className="block text-xs text-slate-500">Yer numarası bir önceki materyalden önce gelenler uyarılır.</span></span>
+                        </label>
                         {lastScanned && <div className={`p-3 rounded-md border-l-4 ${lastScanned.isValid ? 'bg-green-100 border-green-500' : 'bg-yellow-100 border-yellow-500'}`}>
                             <p className="font-mono text-slate-800">{lastScanned.barcode}</p>
                             <p className="text-sm text-slate-600">{lastScanned.data?.['eser_adi'] || 'Eser bilgisi bulunamadı'}</p>
@@ -2032,35 +2739,60 @@ const ScanScreen = ({ isCameraOpen, isQrCodeReady, isCameraAllowed, setIsCameraO
                                     onFileAccepted={(files) => handleBulkUpload(files)}
                                     title={bulkUploadTitle}
                                     accept={bulkUploadAccept}
-                                    disabled={isBulkLoading || !isXlsxReady}
+                                    disabled={isBulkLoading || collectorImport.isLoading}
                                     multiple={true}
                                 />
                             </div>
+                            <div>
+                                <label className="font-semibold text-slate-700">Veri Toplayıcı Dökümü (.txt/.csv/.xlsx):</label>
+                                <p className="text-xs text-slate-500">El terminallerinin "barkod, tarih, lokasyon" dökümleri; okutmaların cihazdaki zamanı korunur.</p>
+                                <FileUploader
+                                    key={`collector-${fileUploaderKey}`}
+                                    onFileAccepted={collectorImport.selectFile}
+                                    title="Veri toplayıcı dosyasını yüklemek için tıklayın"
+                                    accept={collectorUploadAccept}
+                                    disabled={isBulkLoading || collectorImport.isLoading}
+                                />
+                                {collectorImport.isLoading && <p className="text-xs text-slate-500">Dosya okunuyor...</p>}
+                                {collectorImport.preview && <CollectorImportPanel collectorImport={collectorImport} disabled={isBulkLoading || collectorImport.isLoading} />}
+                            </div>
+                        </div>
+                        <div className="p-3 bg-slate-100 rounded-md space-y-2">
+                            <p className="font-semibold text-slate-700">Koha Listesi</p>
+                            <p className="text-xs text-slate-500">Sayım sürerken katalogda değişiklik olduysa (yeni kayıt, düşüm, iade) güncel listeyi yükleyin; okutmaların uyarıları yeni listeye göre yeniden hesaplanır.</p>
+                            <button onClick={openKohaRefresh} disabled={isBulkLoading} className="w-full p-2 text-sm bg-slate-600 text-white rounded-md hover:bg-slate-700 disabled:bg-slate-400">Koha Listesini Yenile</button>
                         </div>
+                        <SyncPanel sync={sync} />
                     </div>
                 </div>
                 <div className="w-full md:w-2/3 lg:w-3/4 p-4 flex flex-col">
                     <div className="flex justify-between items-center mb-2">
                         <h3 className="text-lg font-bold text-slate-800">Okutulan Materyaller ({filteredScannedItems.length} / {scannedItems.length})</h3>
-                        <button onClick={handleClearAllScans} className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 disabled:bg-red-400" disabled={scannedItems.length === 0}>Tümünü Sil</button>
+                        <div className="flex gap-2">
+                            <button onClick={handleUndo} disabled={scanJournal.undo.length === 0} title={scanJournal.undo.length > 0 ? `Geri al: ${scanJournal.undo[scanJournal.undo.length - 1].label} (Ctrl+Z)` : 'Geri alınacak işlem yok'} className="px-3 py-1 text-sm bg-slate-200 text-slate-800 rounded hover:bg-slate-300 disabled:opacity-50">Geri Al</button>
+                            <button onClick={handleRedo} disabled={scanJournal.redo.length === 0} title={scanJournal.redo.length > 0 ? `Yinele: ${scanJournal.redo[scanJournal.redo.length - 1].label} (Ctrl+Shift+Z)` : 'Yinelenecek işlem yok'} className="px-3 py-1 text-sm bg-slate-200 text-slate-800 rounded hover:bg-slate-300 disabled:opacity-50">Yinele</button>
+                            <button onClick={handleClearAllScans} className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 disabled:bg-red-400" disabled={scannedItems.length === 0}>Tümünü Sil</button>
+                        </div>
                     </div>
                     <div className="flex flex-col sm:flex-row gap-2 mb-2">
                         <input type="text" placeholder="Barkod veya eserde ara..." value={searchTerm} onChange={e => setSearchTerm(e.target.value)} className="flex-grow p-2 border border-slate-300 rounded-md" />
                         <select value={warningFilter} onChange={e => setWarningFilter(e.target.value)} className="p-2 border border-slate-300 rounded-md">
                             <option value="all">Tümünü Göster</option>
-                            {Object.values(WARNING_DEFINITIONS).map(w => <option key={w.id} value={w.id}>{w.text}</option>)}
+                            {warningFilterOptions.map(w => <option key={w.id} value={w.id}>{w.text}</option>)}
                         </select>
                     </div>
                     <div className="flex-grow overflow-y-auto space-y-2 pr-2">
                         {filteredScannedItems.slice(0, visibleItemsCount).map((item, index) => {
                              const itemData = kohaDataMap.get(item.barcode);
                              return (
-                                <div key={`${item.timestamp}-${index}`} className={`p-2 rounded-md border flex items-center justify-between gap-2 ${item.isValid ? 'bg-white' : 'bg-yellow-50'}`}>
+                                <div key={item.id} className={`p-2 rounded-md border flex items-center justify-between gap-2 ${item.isValid ? 'bg-white' : 'bg-yellow-50'}`}>
                                     <div className="flex-grow">
                                         <p className="font-mono text-slate-800">{item.barcode}</p>
                                         <p className="text-xs text-slate-600">{itemData?.['eser_adi'] || 'Bilinmeyen Eser'}</p>
                                         {itemData?.['yer_numarasi'] && <p className="text-xs text-slate-500 font-semibold">Yer No: {itemData['yer_numarasi']}</p>}
                                         {itemData?.['materyalin_yeri_kodu'] && <p className="text-xs text-slate-500">Konum: {LOCATION_CODE_MAP[itemData['materyalin_yeri_kodu']] || itemData['materyalin_yeri_kodu']}</p>}
+                                        {item.segment && <p className="text-xs text-slate-500">Raf: {item.segment}</p>}
+                                        {item.resolution && <p className="text-xs text-slate-500 font-semibold">Çözüm: {WARNING_RESOLUTIONS.find(resolution => resolution.id === item.resolution)?.short || item.resolution}</p>}
                                     </div>
                                     <div className="flex items-center gap-2 flex-shrink-0">
                                         <div className="flex flex-wrap justify-end gap-1 items-center">
@@ -2084,7 +2816,7 @@ const ScanScreen = ({ isCameraOpen, isQrCodeReady, isCameraAllowed, setIsCameraO
                                             ))}
                                             {item.isValid && <span className="px-2 py-1 text-xs font-semibold text-green-800 bg-green-200 rounded-full">Temiz</span>}
                                         </div>
-                                        <button onClick={() => handleDeleteItem(item.timestamp)} className="p-1 rounded-full text-slate-400 hover:bg-red-100 hover:text-red-600" title="Bu kaydı sil"><svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg></button>
+                                        <button onClick={() => handleDeleteItem(item.id)} className="p-1 rounded-full text-slate-400 hover:bg-red-100 hover:text-red-600" title="Bu kaydı sil"><svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg></button>
                                     </div>
                                 </div>
                             );
@@ -2097,13 +2829,13 @@ const ScanScreen = ({ isCameraOpen, isQrCodeReady, isCameraAllowed, setIsCameraO
     );
 };
 
-const UpdateOnLoanScreen = ({ handleOnLoanUpload, setPage, isPapaParseReady, isLoading }) => (
+const UpdateOnLoanScreen = ({ handleOnLoanUpload, setPage, isLoading }) => (
     <div className="max-w-3xl mx-auto w-full p-8 bg-white rounded-lg shadow-sm space-y-6 border">
         <h1 className="text-3xl font-bold text-slate-800">Güncel Ödünç Verilmiş Materyalleri Yükle</h1>
         <p className="text-slate-600 mb-2">Sayım sırasında ödünç verme işlemi yapıldıysa, Koha’da “Gecikmişler” modülüne girip “Şu anda ödünç verilmiş bulunan tüm materyalleri göster” seçeneğini seçtikten sonra ulaşacağınız güncel ödünç materyal listesini (yalnızca barkodları içeren .txt veya .csv formatında) buraya yükleyerek eksik listesinin daha doğru oluşturulmasını sağlayabilirsiniz.</p>
         <p className="text-slate-600 mb-4">Sayım sırasında ödünç kitap verme işlemi yapmadıysanız bu adımı atlayabilirsiniz.</p>
         <a href="https://personel.ekutuphane.gov.tr/cgi-bin/koha/circ/overdue.pl" target="_blank" rel="noopener noreferrer" className="w-full mb-2 inline-block text-center px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition-colors">Güncel Ödünç Listesi indirmek için tıklayınız</a>
-        <FileUploader onFileAccepted={(files) => handleOnLoanUpload(files[0])} title="Güncel ödünç listesini buraya sürükleyin veya seçmek için tıklayın" disabled={!isPapaParseReady || isLoading} accept={{'text/csv': ['.csv'], 'text/plain': ['.txt']}}><svg xmlns="http://www.w3.org/2000/svg" className="mx-auto h-12 w-12 text-blue-500" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-4-4V7a4 4 0 014-4h10a4 4 0 014 4v5m-4 4h-5m5-4l-5 4m0 0l-5-4m5 4v-7" /></svg></FileUploader>
+        <FileUploader onFileAccepted={(files) => handleOnLoanUpload(files[0])} title="Güncel ödünç listesini buraya sürükleyin veya seçmek için tıklayın" disabled={isLoading} accept={{'text/csv': ['.csv'], 'text/plain': ['.txt']}}><svg xmlns="http://www.w3.org/2000/svg" className="mx-auto h-12 w-12 text-blue-500" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-4-4V7a4 4 0 014-4h10a4 4 0 014 4v5m-4 4h-5m5-4l-5 4m0 0l-5-4m5 4v-7" /></svg></FileUploader>
         <div className="flex flex-col sm:flex-row gap-4 mt-4"><button onClick={() => setPage('summary')} className="w-full font-bold py-3 px-4 rounded-md transition-colors bg-slate-600 text-white hover:bg-slate-700">Bu Adımı Atla ve Devam Et</button></div>
     </div>
 );
@@ -2132,7 +2864,7 @@ const CheckReturnsScreen = ({ setPage }) => (
 );
 
 
-const SummaryScreen = ({ currentSessionName, summaryData, preAnalysisReports, postScanReports, isXlsxReady, isHtmlToImageReady }) => {
+const SummaryScreen = ({ currentSessionName, summaryData, segmentSummary, onReopenSegment, onRescanSegment, onDownloadSegmentMissing, preAnalysisReports, postScanReports }) => {
     const generalStatusRef = useRef(null);
     const materialStatusRef = useRef(null);
     const warningBarRef = useRef(null);
@@ -2141,9 +2873,9 @@ const SummaryScreen = ({ currentSessionName, summaryData, preAnalysisReports, po
     const locationStatusRef = useRef(null);
 
     const downloadChart = useCallback((ref, fileName) => {
-        if (ref.current === null || !isHtmlToImageReady || !window.htmlToImage) { alert("Grafik indirme özelliği şu anda hazır değil, lütfen birkaç saniye bekleyip tekrar deneyin."); return; }
-        window.htmlToImage.toPng(ref.current, { backgroundColor: '#ffffff', pixelRatio: 2 }).then((dataUrl) => { const link = document.createElement('a'); link.download = fileName; link.href = dataUrl; link.click(); }).catch((err) => { console.error('Grafik indirilemedi!', err); });
-    }, [isHtmlToImageReady]);
+        if (ref.current === null) return;
+        toPng(ref.current, { backgroundColor: '#ffffff', pixelRatio: 2 }).then((dataUrl) => { const link = document.createElement('a'); link.download = fileName; link.href = dataUrl; link.click(); }).catch((err) => { console.error('Grafik indirilemedi!', err); });
+    }, []);
 
     const downloadAllCharts = async () => {
         const charts = [ { ref: generalStatusRef, name: `genel_durum_${currentSessionName}.png` }, { ref: materialStatusRef, name: `materyal_statusu_${currentSessionName}.png` }, { ref: warningBarRef, name: `uyari_turleri_${currentSessionName}.png` }, { ref: scanProgressRef, name: `sayim_ilerlemesi_${currentSessionName}.png` }, { ref: topErrorRef, name: `hata_veren_lokasyonlar_${currentSessionName}.png` }, { ref: locationStatusRef, name: `lokasyon_durumu_${currentSessionName}.png` }, ];
@@ -2158,15 +2890,15 @@ const SummaryScreen = ({ currentSessionName, summaryData, preAnalysisReports, po
     const renderLegendWithCount = (value, entry) => <span style={{ color: entry.color }}>{value} ({entry.payload.value})</span>;
     const renderPieLabel = ({ cx, cy, midAngle, innerRadius, outerRadius, value }) => { const RADIAN = Math.PI / 180; const radius = innerRadius + (outerRadius - innerRadius) * 0.5; const x = cx + radius * Math.cos(-midAngle * RADIAN); const y = cy + radius * Math.sin(-midAngle * RADIAN); return (<text x={x} y={y} fill="white" textAnchor="middle" dominantBaseline="central" fontWeight="bold">{value > 0 ? value : ''}</text>); };
     if (!summaryData) return <div className="text-center p-10">Raporları görmek için lütfen sayıma başlayın.</div>;
-    const ChartContainer = ({ chartRef, title, children, fileName }) => (<div ref={chartRef} className="bg-white p-6 rounded-lg shadow-sm border h-96 flex flex-col"><div className="flex justify-between items-center mb-2"><h3 className="text-xl font-semibold text-center text-slate-700 flex-1">{title}</h3><button onClick={() => downloadChart(chartRef, fileName)} disabled={!isHtmlToImageReady} title="Grafiği İndir" className="p-1 text-slate-500 hover:bg-slate-200 rounded-full disabled:opacity-50">{ICONS.download}</button></div><ResponsiveContainer>{children}</ResponsiveContainer></div>);
+    const ChartContainer = ({ chartRef, title, children, fileName }) => (<div ref={chartRef} className="bg-white p-6 rounded-lg shadow-sm border h-96 flex flex-col"><div className="flex justify-between items-center mb-2"><h3 className="text-xl font-semibold text-center text-slate-700 flex-1">{title}</h3><button onClick={() => downloadChart(chartRef, fileName)} title="Grafiği İndir" className="p-1 text-slate-500 hover:bg-slate-200 rounded-full disabled:opacity-50">{ICONS.download}</button></div><ResponsiveContainer>{children}</ResponsiveContainer></div>);
 
     return (
         <div className="w-full">
             <div className="flex flex-col sm:flex-row justify-between items-start mb-6 gap-2">
                 <h1 className="text-3xl font-bold text-slate-800">Sayım Özeti: {currentSessionName}</h1>
                 <div className="flex flex-wrap gap-2">
-                    <button onClick={downloadAllCharts} disabled={!isHtmlToImageReady} className="flex items-center gap-2 bg-green-600 text-white font-semibold px-4 py-2 rounded-md hover:bg-green-700 transition-colors disabled:opacity-50">{ICONS.download} Tüm Grafikleri İndir</button>
-                    <button onClick={downloadAllReports} disabled={!isXlsxReady} className="flex items-center gap-2 bg-blue-600 text-white font-semibold px-4 py-2 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50">{ICONS.download} Tüm Raporları İndir</button>
+                    <button onClick={downloadAllCharts} className="flex items-center gap-2 bg-green-600 text-white font-semibold px-4 py-2 rounded-md hover:bg-green-700 transition-colors disabled:opacity-50">{ICONS.download} Tüm Grafikleri İndir</button>
+                    <button onClick={downloadAllReports} className="flex items-center gap-2 bg-blue-600 text-white font-semibold px-4 py-2 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50">{ICONS.download} Tüm Raporları İndir</button>
                 </div>
             </div>
             <div className="bg-white p-6 rounded-lg shadow-sm border mb-8">
@@ -2178,6 +2910,7 @@ const SummaryScreen = ({ currentSessionName, summaryData, preAnalysisReports, po
                     <div className="bg-indigo-100 p-4 rounded-lg"><p className="text-2xl font-bold text-indigo-800">{summaryData.scanSpeed}</p><p>Materyal / dk</p></div>
                 </div>
                 <p className="text-xs text-center mt-4 text-slate-500">Not: "Geçerli", "Hatalı/Uyarılı" ve "Eksik" sayıları, sadece materyal statüsü "0" (Eser Koleksiyonda) olanlar üzerinden hesaplanmıştır.</p>
+                {summaryData.outOfScopeCount > 0 && <p className="text-xs text-center mt-1 text-slate-500">"Eksik" sayısı yalnızca sayımın lokasyonlarını kapsar. Seçilen lokasyonlar dışında okutulmamış {summaryData.outOfScopeCount} materyal eksik sayılmamıştır; bunlar "Kapsam Dışı Materyaller" raporunda listelenir.</p>}
             </div>
             <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-8 mb-8">
                 <ChartContainer chartRef={generalStatusRef} title="Genel Durum (Aktif Koleksiyon)" fileName={`genel_durum_${currentSessionName}.png`}><PieChart><Pie data={summaryData.pieData} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={100} labelLine={false} label={renderPieLabel}>{summaryData.pieData.map((entry, i) => <Cell key={`cell-${i}`} fill={PIE_CHART_COLORS[entry.name === 'Geçerli' ? 'valid' : entry.name === 'Uyarılı' ? 'invalid' : 'missing']} />)}</Pie><Tooltip content={<CustomTooltip />} /><Legend formatter={renderLegendWithCount} /></PieChart></ChartContainer>
@@ -2188,13 +2921,37 @@ const SummaryScreen = ({ currentSessionName, summaryData, preAnalysisReports, po
                 <ChartContainer chartRef={scanProgressRef} title="Sayım İlerleme Grafiği" fileName={`sayim_ilerlemesi_${currentSessionName}.png`}><LineChart data={summaryData.scanProgressData}><CartesianGrid strokeDasharray="3 3" /><XAxis dataKey="time" /><YAxis /><Tooltip /><Legend /><Line type="monotone" dataKey="Okutulan Sayısı" stroke="#8884d8" activeDot={{ r: 8 }} /></LineChart></ChartContainer>
                 <ChartContainer chartRef={topErrorRef} title="En Çok Hata Veren Raf/Lokasyon" fileName={`hata_veren_lokasyonlar_${currentSessionName}.png`}><BarChart layout="vertical" data={summaryData.topErrorLocationsData} margin={{ top: 20, right: 30, left: 100, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" /><XAxis type="number" /><YAxis type="category" dataKey="name" /><Tooltip /><Legend /><Bar dataKey="Hata Sayısı" fill="#E74C3C"><LabelList dataKey="Hata Sayısı" position="right" style={{ fill: '#333' }} /></Bar></BarChart></ChartContainer>
             </div>
+            {segmentSummary.length > 0 && (
+                <div className="bg-white p-6 rounded-lg shadow-sm border mb-8 overflow-x-auto">
+                    <h3 className="text-xl font-semibold text-slate-700 mb-1">Raf / Bölüm Bazında İlerleme</h3>
+                    <p className="text-xs text-slate-500 mb-4">Beklenen eksikler, rafta okutulan en küçük ve en büyük yer numarası arasında kalan ve hiç okutulmamış materyallerdir.</p>
+                    <table className="w-full text-sm text-left">
+                        <thead><tr className="border-b text-slate-600"><th className="py-2 pr-4">Raf / Bölüm</th><th className="py-2 pr-4">Okutulan</th><th className="py-2 pr-4">Uyarılı</th><th className="py-2 pr-4">Yer No Aralığı</th><th className="py-2 pr-4">Beklenen Eksik</th><th className="py-2"></th></tr></thead>
+                        <tbody>
+                            {segmentSummary.map(segment => (
+                                <tr key={segment.name} className="border-b last:border-0">
+                                    <td className="py-2 pr-4 font-semibold text-slate-800">{segment.name}</td>
+                                    <td className="py-2 pr-4">{segment.scanned}</td>
+                                    <td className="py-2 pr-4">{segment.warned}</td>
+                                    <td className="py-2 pr-4 font-mono text-xs">{segment.firstCallNumber ? `${segment.firstCallNumber} – ${segment.lastCallNumber}` : '-'}</td>
+                                    <td className="py-2 pr-4">{segment.missing.length > 0 ? <button onClick={() => onDownloadSegmentMissing(segment)} className="text-blue-600 underline" title="Eksik listesini indir (.xlsx)">{segment.missing.length}</button> : 0}</td>
+                                    <td className="py-2 whitespace-nowrap text-right">
+                                        <button onClick={() => onReopenSegment(segment.name)} className="px-2 py-1 text-xs bg-slate-200 rounded hover:bg-slate-300 mr-1">Yeniden Aç</button>
+                                        <button onClick={() => onRescanSegment(segment.name)} className="px-2 py-1 text-xs bg-orange-500 text-white rounded hover:bg-orange-600">Yeniden Say</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
             <div ref={locationStatusRef} className="bg-white p-6 rounded-lg shadow-sm border h-[500px] mb-8 flex flex-col">
-                <div className="flex justify-between items-center mb-2"><h3 className="text-xl font-semibold text-center text-slate-700 flex-1">Lokasyon Bazında Sayım Durumu (Aktif Koleksiyon)</h3><button onClick={() => downloadChart(locationStatusRef, `lokasyon_durumu_${currentSessionName}.png`)} disabled={!isHtmlToImageReady} title="Grafiği İndir" className="p-1 text-slate-500 hover:bg-slate-200 rounded-full disabled:opacity-50">{ICONS.download}</button></div>
+                <div className="flex justify-between items-center mb-2"><h3 className="text-xl font-semibold text-center text-slate-700 flex-1">Lokasyon Bazında Sayım Durumu (Aktif Koleksiyon)</h3><button onClick={() => downloadChart(locationStatusRef, `lokasyon_durumu_${currentSessionName}.png`)} title="Grafiği İndir" className="p-1 text-slate-500 hover:bg-slate-200 rounded-full disabled:opacity-50">{ICONS.download}</button></div>
                 <ResponsiveContainer><BarChart data={summaryData.locationStatusData} margin={{ top: 20, right: 30, left: 20, bottom: 70 }}><CartesianGrid strokeDasharray="3 3" /><XAxis dataKey="name" angle={-45} textAnchor="end" interval={0} /><YAxis /><Tooltip /><Legend verticalAlign="top" wrapperStyle={{ paddingBottom: 10 }}/><Bar dataKey="Geçerli" stackId="a" fill="#2ECC71" /><Bar dataKey="Uyarılı" stackId="a" fill="#FAD7A0" /><Bar dataKey="Eksik" stackId="a" fill="#95A5A6" /></BarChart></ResponsiveContainer>
             </div>
             <div className="mt-10">
-                <div className="mb-12"><h2 className="text-3xl font-bold mb-2 text-slate-800">Sayım Sonucu Raporları</h2><p className="text-slate-600 mb-6">Bu raporlar, sayım işlemi sırasında okutulan barkodlara göre oluşturulmuştur.</p><div className="space-y-4">{postScanReports.map(report => (<ReportCard key={report.id} report={report} isReady={report.format === '.txt' ? true : isXlsxReady} />))}</div></div>
-                <div><h2 className="text-3xl font-bold mb-2 text-slate-800">Dosya Ön Analiz Raporları</h2><p className="text-slate-600 mb-6">Bu raporlar, sayım işleminden bağımsız olarak, yalnızca başlangıçta yüklediğiniz Koha dosyasına göre oluşturulmuştur.</p><div className="space-y-4">{preAnalysisReports.map(report => (<ReportCard key={report.id} report={report} isReady={isXlsxReady} />))}</div></div>
+                <div className="mb-12"><h2 className="text-3xl font-bold mb-2 text-slate-800">Sayım Sonucu Raporları</h2><p className="text-slate-600 mb-6">Bu raporlar, sayım işlemi sırasında okutulan barkodlara göre oluşturulmuştur.</p><div className="space-y-4">{postScanReports.map(report => (<ReportCard key={report.id} report={report} />))}</div></div>
+                <div><h2 className="text-3xl font-bold mb-2 text-slate-800">Dosya Ön Analiz Raporları</h2><p className="text-slate-600 mb-6">Bu raporlar, sayım işleminden bağımsız olarak, yalnızca başlangıçta yüklediğiniz Koha dosyasına göre oluşturulmuştur.</p><div className="space-y-4">{preAnalysisReports.map(report => (<ReportCard key={report.id} report={report} />))}</div></div>
             </div>
         </div>
     );
@@ -2314,10 +3071,6 @@ const MergeScreen = () => {
 
 
 export default function App() {
-    const isPapaParseReady = useScript('https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.3.2/papaparse.min.js', 'Papa');
-    const isXlsxReady = useScript('https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js', 'XLSX');
-    const isQrCodeReady = useScript('https://unpkg.com/html5-qrcode', 'Html5Qrcode');
-    const isHtmlToImageReady = useScript('https://cdnjs.cloudflare.com/ajax/libs/html-to-image/1.11.11/html-to-image.min.js', 'htmlToImage');
     
     const [page, setPage] = useState('permission');
     const [isMobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -2326,7 +3079,10 @@ export default function App() {
     const [currentSessionName, setCurrentSessionName] = useState('');
     const [sessionNameInput, setSessionNameInput] = useState('');
     const [selectedLibrary, setSelectedLibrary] = useState('');
-    const [selectedLocation, setSelectedLocation] = useState('');
+    const [selectedLocations, setSelectedLocations] = useState([]);
+    // Oturumda açılmış raf/bölüm adları ve okutmaların yazıldığı açık segment
+    const [segments, setSegments] = useState([]);
+    const [activeSegment, setActiveSegment] = useState('');
     const [kohaData, setKohaData] = useState([]);
     const [kohaDataMap, setKohaDataMap] = useState(new Map());
     const [scannedItems, setScannedItems] = useState([]);
@@ -2335,26 +3091,115 @@ export default function App() {
     const [isLoading, setIsLoading] = useState(false);
     const [isBulkLoading, setIsBulkLoading] = useState(false);
     const [bulkProgress, setBulkProgress] = useState({ current: 0, total: 0 });
+    const [csvProgress, setCsvProgress] = useState({ current: 0, total: 0 });
+    const [csvPreview, setCsvPreview] = useState(null);
+    const [isKohaRefreshOpen, setIsKohaRefreshOpen] = useState(false);
+    const [isReevaluating, setIsReevaluating] = useState(false);
+    const [reevaluationResult, setReevaluationResult] = useState(null);
+    const [areWarningsStale, setAreWarningsStale] = useState(false);
+    const [kohaRefreshResult, setKohaRefreshResult] = useState(null);
+    const [columnMappingPresets, setColumnMappingPresets] = useState({});
     const [fileUploaderKey, setFileUploaderKey] = useState(0);
+    const [collectorLayout, setCollectorLayout] = useState(() => { try { const saved = JSON.parse(localStorage.getItem('collectorLayout') || '{}'); return { ...DEFAULT_COLLECTOR_LAYOUT, ...saved, columns: { ...DEFAULT_COLLECTOR_LAYOUT.columns, ...saved.columns } }; } catch { return DEFAULT_COLLECTOR_LAYOUT; } });
+    const [collectorPreview, setCollectorPreview] = useState(null);
+    const [isCollectorPreviewLoading, setIsCollectorPreviewLoading] = useState(false);
     const [error, setError] = useState('');
     const [warningModal, setWarningModal] = useState({ isOpen: false, title: '', warnings: [], barcode: null });
+    const [scanToast, setScanToast] = useState(null);
+    const scanToastTimeoutRef = useRef(null);
     const [confirmationModal, setConfirmationModal] = useState({ isOpen: false, message: '', onConfirm: () => {} });
     const [addDataModal, setAddDataModal] = useState({ isOpen: false, type: ''});
     const [isShareModalOpen, setIsShareModalOpen] = useState(false);
     const [customLibraries, setCustomLibraries] = useState({});
     const [customLocations, setCustomLocations] = useState({});
+    const [customBarcodeProfiles, setCustomBarcodeProfiles] = useState({});
+    const [libraryBarcodeProfiles, setLibraryBarcodeProfiles] = useState({});
+    const [isBarcodeProfileModalOpen, setIsBarcodeProfileModalOpen] = useState(false);
+    const [libraryWarningRules, setLibraryWarningRules] = useState({});
+    const [isWarningRulesModalOpen, setIsWarningRulesModalOpen] = useState(false);
     const [isCameraOpen, setIsCameraOpen] = useState(false);
     const [isProcessingScan, setIsProcessingScan] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
     const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
     const [warningFilter, setWarningFilter] = useState('all');
     const [isMuted, setIsMuted] = useState(false);
+    const [checkShelfOrder, setCheckShelfOrder] = useState(() => localStorage.getItem('shelfOrderCheck') === 'true');
+    const [isContinuousCamera, setIsContinuousCamera] = useState(() => localStorage.getItem('continuousCameraMode') === 'true');
+    const [pendingCameraCodes, setPendingCameraCodes] = useState([]);
+    const [wedgeSettings, setWedgeSettings] = useState(() => { try { return { ...DEFAULT_WEDGE_SETTINGS, ...JSON.parse(localStorage.getItem('wedgeScannerSettings') || '{}') }; } catch { return DEFAULT_WEDGE_SETTINGS; } });
+    const wedgeCodeHandlerRef = useRef(null);
+    const pendingWedgeCodesRef = useRef([]);
+    // Ortak sayım: okutmalar yerel ağdaki senkronizasyon sunucusu üzerinden diğer cihazlarla paylaşılır
+    const [syncServerUrl, setSyncServerUrl] = useState(() => localStorage.getItem('syncServerUrl') || '');
+    const [syncToken, setSyncToken] = useState(() => localStorage.getItem('syncToken') || '');
+    const [syncEnabled, setSyncEnabled] = useState(() => localStorage.getItem('syncEnabled') === 'true');
+    const [syncStatus, setSyncStatus] = useState({ state: 'off', message: '' });
     const [installPrompt, setInstallPrompt] = useState(null);
     const [showInstallPopup, setShowInstallPopup] = useState(false);
     const [isRestoringSession, setIsRestoringSession] = useState(false);
     
     const processedBarcodesRef = useRef(new Set());
+    // Okutma ekranındaki işlemlerin geri al / yinele günlüğü: { undo: [...], redo: [...] }
+    // Her adım { label, added, removed } biçimindedir ve yalnızca açık oturum için tutulur.
+    const [scanJournal, setScanJournal] = useState({ undo: [], redo: [] });
+    // Raf sırası kontrolü için en son okutulan (yer numarası olan) materyalin yer numarası
+    const lastCallNumberRef = useRef(null);
+    const syncClientRef = useRef(null);
+    const applyRemoteChangesRef = useRef(null);
+    const scannedItemsRef = useRef([]);
     const manualInputDebounceRef = useRef(null);
+    const workerRef = useRef(null);
+    const workerTaskRef = useRef(null);
+    const workerQueueRef = useRef([]);
+    // Son yüklenen Koha dosyasının bilgisi ve oturumla saklanacak sıkıştırılmış hali
+    const kohaListRef = useRef(null);
+
+    // Koha CSV ayrıştırma ve toplu barkod doğrulama, arayüzü kilitlememek için worker'da çalışır.
+    // Worker'a aynı anda tek bir iş gönderilir; iş sürerken gelenler sıraya alınır. İlerleme mesajları
+    // o anki işin onProgress'ine iletilir. getContext verilmişse worker bağlamı iş başlarken gönderilir;
+    // böylece sıradaki iş, önceki işin eklediği barkodları da görür.
+    const startNextWorkerTask = useCallback(() => {
+        if (workerTaskRef.current || !workerRef.current) return;
+        const task = workerQueueRef.current.shift();
+        if (!task) return;
+        workerTaskRef.current = task;
+        if (task.getContext) workerRef.current.postMessage({ type: 'SET_CONTEXT', payload: task.getContext() });
+        workerRef.current.postMessage({ type: task.type, payload: task.payload });
+    }, []);
+
+    useEffect(() => {
+        const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+            const { type, payload } = e.data;
+            const task = workerTaskRef.current;
+            if (!task) return;
+            if (type === 'CSV_PROGRESS' || type === 'BULK_PROGRESS') { if (task.onProgress) task.onProgress(payload); return; }
+            if (type === 'ERROR') { workerTaskRef.current = null; task.reject(new Error(payload)); startNextWorkerTask(); return; }
+            if (type === task.doneType) { workerTaskRef.current = null; task.resolve(payload); startNextWorkerTask(); }
+        };
+        worker.onerror = (e) => {
+            console.error("Worker hatası:", e);
+            const task = workerTaskRef.current;
+            workerTaskRef.current = null;
+            if (task) task.reject(new Error("Arka plan işlemi beklenmedik şekilde durdu."));
+            startNextWorkerTask();
+        };
+        workerRef.current = worker;
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+            const stopped = [workerTaskRef.current, ...workerQueueRef.current].filter(Boolean);
+            workerTaskRef.current = null;
+            workerQueueRef.current = [];
+            stopped.forEach(task => task.reject(new Error("Arka plan işleyicisi kapatıldı.")));
+        };
+    }, [startNextWorkerTask]);
+
+    const runWorkerTask = useCallback((type, payload, doneType, onProgress, getContext) => new Promise((resolve, reject) => {
+        if (!workerRef.current) { reject(new Error("Arka plan işleyicisi hazır değil.")); return; }
+        workerQueueRef.current.push({ type, payload, doneType, onProgress, getContext, resolve, reject });
+        startNextWorkerTask();
+    }), [startNextWorkerTask]);
     
     useEffect(() => {
         const handler = setTimeout(() => { setDebouncedSearchTerm(searchTerm); }, 300);
@@ -2403,37 +3248,73 @@ export default function App() {
         try { if (Tone.context.state !== 'running') Tone.context.resume(); const now = Tone.now(); synth.triggerAttackRelease("C5", "16n", now); synth.triggerAttackRelease("G4", "16n", now + 0.1); synth.triggerAttackRelease("C5", "16n", now + 0.2); synth.triggerAttackRelease("G4", "16n", now + 0.3); synth.triggerAttackRelease("E5", "8n", now + 0.4); } catch (e) { console.error("Ses çalınamadı:", e); }
     }, [isMuted]);
     
-    const loadSession = useCallback((sessionName) => {
-        const sessionString = localStorage.getItem(`koha_session_${sessionName}`);
-        if (sessionString) {
-            const session = JSON.parse(sessionString);
+    const loadSession = useCallback(async (sessionName) => {
+        let session;
+        try { session = await loadStoredSession(sessionName); } catch (e) { console.error("Oturum yüklenemedi:", e); setError(`"${sessionName}" oturumu yüklenemedi.`); return; }
+        if (session) {
             setCurrentSessionName(session.name);
             setSelectedLibrary(session.library);
-            setSelectedLocation(session.location);
-            setScannedItems(session.items || []);
-            processedBarcodesRef.current = new Set((session.items || []).map(i => i.barcode));
-            if ((session.items || []).length > 0) { setLastScanned(session.items[0]); } else { setLastScanned(null); }
+            setSelectedLocations(normalizeLocations(session));
+            setScannedItems(session.items);
+            processedBarcodesRef.current = new Set(session.items.map(i => i.barcode));
+            setScanJournal({ undo: [], redo: [] });
+            setSegments(session.segments || []);
+            setActiveSegment(session.activeSegment || '');
+            if (session.items.length > 0) { setLastScanned(session.items[0]); } else { setLastScanned(null); }
             setKohaData([]);
             setKohaDataMap(new Map());
+            kohaListRef.current = null;
+            // Oturumla birlikte saklanan Koha listesi varsa dosyayı yeniden istemeden geri yüklenir
+            let packed = null;
+            try { packed = await loadKohaList(sessionName); } catch (e) { console.error("Kayıtlı Koha listesi okunamadı:", e); }
+            if (packed) {
+                setIsLoading(true);
+                try {
+                    const { kohaData: json, kohaDataMap: map } = await runWorkerTask('LOAD_PACKED', packed, 'DATA_READY');
+                    setKohaData(json);
+                    setKohaDataMap(map);
+                    setError('');
+                    setIsRestoringSession(false);
+                    setPage('scan');
+                    return;
+                } catch (e) {
+                    console.error("Kayıtlı Koha listesi açılamadı:", e);
+                } finally {
+                    setIsLoading(false);
+                }
+            }
             setError(`"${sessionName}" oturumu yüklendi. Devam etmek için lütfen ilgili Koha sayım dosyasını (.csv) tekrar yükleyin.`);
             setPage('start');
             setIsRestoringSession(true);
         }
-    }, []);
+    }, [runWorkerTask]);
 
     useEffect(() => {
         try {
             const choiceMade = localStorage.getItem('cameraPermissionChoiceMade');
             if (choiceMade) { setIsCameraAllowed(localStorage.getItem('cameraPermissionStatus') === 'granted'); setPage('start'); } else { setPage('permission'); }
-            const savedSessions = localStorage.getItem('kohaInventorySessions');
-            if (savedSessions) setSessions(JSON.parse(savedSessions));
             const savedLibs = localStorage.getItem('customLibraries');
             if (savedLibs) setCustomLibraries(JSON.parse(savedLibs));
             const savedLocs = localStorage.getItem('customLocations');
             if (savedLocs) setCustomLocations(JSON.parse(savedLocs));
-            const activeSessionName = localStorage.getItem('activeKohaSessionName');
-            if (activeSessionName && localStorage.getItem(`koha_session_${activeSessionName}`)) { loadSession(activeSessionName); }
+            const savedProfiles = localStorage.getItem('customBarcodeProfiles');
+            if (savedProfiles) setCustomBarcodeProfiles(JSON.parse(savedProfiles));
+            const savedProfileAssignments = localStorage.getItem('libraryBarcodeProfiles');
+            if (savedProfileAssignments) setLibraryBarcodeProfiles(JSON.parse(savedProfileAssignments));
+            const savedWarningRules = localStorage.getItem('libraryWarningRules');
+            if (savedWarningRules) setLibraryWarningRules(JSON.parse(savedWarningRules));
+            const savedMappings = localStorage.getItem('columnMappingPresets');
+            if (savedMappings) setColumnMappingPresets(JSON.parse(savedMappings));
         } catch (e) { console.error("Veriler yüklenemedi:", e); setPage('start'); }
+        // Oturumlar IndexedDB'de tutulur; eski localStorage kayıtları ilk açılışta taşınır.
+        migrateLegacySessions()
+            .then(() => listSessions())
+            .then(savedSessions => {
+                setSessions(savedSessions);
+                const activeSessionName = localStorage.getItem('activeKohaSessionName');
+                if (activeSessionName && savedSessions[activeSessionName]) return loadSession(activeSessionName);
+            })
+            .catch(e => { console.error("Oturumlar yüklenemedi:", e); setError("Kayıtlı oturumlar yüklenemedi."); });
     }, [loadSession]);
     
     useEffect(() => {
@@ -2442,32 +3323,105 @@ export default function App() {
         return () => { window.removeEventListener('beforeunload', handleBeforeUnload); };
     }, [currentSessionName]);
 
+    const handleStorageError = useCallback((e) => {
+        console.error("Oturum kaydedilemedi:", e);
+        setError(e && e.name === 'QuotaExceededError' ? "Oturum kaydedilemedi: Tarayıcı depolama alanı dolu." : "Oturum kaydedilirken bir hata oluştu.");
+    }, []);
+
     useEffect(() => {
-        if (currentSessionName) {
-            const sessionToSave = { name: currentSessionName, library: selectedLibrary, location: selectedLocation, items: scannedItems, lastUpdated: new Date().toISOString() };
-            try {
-                localStorage.setItem(`koha_session_${currentSessionName}`, JSON.stringify(sessionToSave));
-                localStorage.setItem('activeKohaSessionName', currentSessionName);
-                setSessions(prev => {
-                    const updatedSessions = {...prev, [currentSessionName]: { name: currentSessionName, items: { length: scannedItems.length }, lastUpdated: new Date().toISOString() }};
-                    localStorage.setItem('kohaInventorySessions', JSON.stringify(updatedSessions));
-                    return updatedSessions;
-                });
-            } catch (e) {
-                 console.error("Oturum kaydedilemedi:", e);
-                 setError("Oturum kaydedilirken bir hata oluştu. Tarayıcı depolama alanı dolu olabilir.");
+        if (!currentSessionName) return;
+        localStorage.setItem('activeKohaSessionName', currentSessionName);
+        updateSessionMeta(currentSessionName, { library: selectedLibrary, locations: selectedLocations })
+            .then(meta => setSessions(prev => ({ ...prev, [currentSessionName]: meta })))
+            .catch(handleStorageError);
+    }, [currentSessionName, selectedLibrary, selectedLocations, handleStorageError]);
+
+    // Okutma kayıtlarındaki değişiklikler tüm liste yerine tek tek IndexedDB'ye yazılır
+    const persistScanChanges = useCallback((changes) => {
+        if (!currentSessionName) return;
+        const sessionName = currentSessionName;
+        applyScanChanges(sessionName, changes)
+            .then(meta => setSessions(prev => ({ ...prev, [sessionName]: meta })))
+            .catch(handleStorageError);
+        if (syncClientRef.current) syncClientRef.current.push(changes);
+    }, [currentSessionName, handleStorageError]);
+
+    useEffect(() => { scannedItemsRef.current = scannedItems; }, [scannedItems]);
+
+    // Diğer cihazlardan gelen değişiklikler listeye ve yerel depoya yazılır (sunucuya geri gönderilmez).
+    // Listede zaten olan kayıtlar eklenmez, olmayanlar silinmez; böylece oturumdaki kayıt sayısı doğru kalır.
+    // Aynı değişiklikte hem silinen hem eklenen kayıt, güncellenmiş halidir (uyarıların yeniden hesaplanması).
+    const applyRemoteScanChanges = useCallback(({ added = [], removedIds = [], clear = false }) => {
+        const localIds = new Set(scannedItemsRef.current.map(item => item.id));
+        const replacedIds = new Set(removedIds);
+        const newItems = added.filter(record => clear || !localIds.has(record.id) || replacedIds.has(record.id));
+        const existingRemovedIds = removedIds.filter(id => localIds.has(id));
+        if (!clear && newItems.length === 0 && existingRemovedIds.length === 0) return;
+        setScannedItems(prev => {
+            const next = applyScanDiff(clear ? [] : prev, { added: newItems, removed: existingRemovedIds.map(id => ({ id })) });
+            // Tekrar kontrolü tüm cihazların okutmalarını kapsamalı
+            processedBarcodesRef.current = new Set(next.map(i => i.barcode));
+            return next;
+        });
+        if (!currentSessionName) return;
+        const sessionName = currentSessionName;
+        applyScanChanges(sessionName, { added: newItems, removedIds: existingRemovedIds, clear })
+            .then(meta => setSessions(prev => ({ ...prev, [sessionName]: meta })))
+            .catch(handleStorageError);
+    }, [currentSessionName, handleStorageError]);
+
+    useEffect(() => { applyRemoteChangesRef.current = applyRemoteScanChanges; }, [applyRemoteScanChanges]);
+
+    useEffect(() => {
+        if (!syncEnabled || !syncServerUrl || !currentSessionName) { setSyncStatus({ state: 'off', message: '' }); return; }
+        const client = connectSync({ serverUrl: syncServerUrl, sessionName: currentSessionName, deviceId: getSyncDeviceId(), token: syncToken }, {
+            onStatus: (state, message = '') => setSyncStatus({ state, message }),
+            onChanges: (changes) => applyRemoteChangesRef.current(changes),
+            // Bağlanınca (ve her yeniden bağlanmada) sunucudaki liste ile yerel liste birleştirilir:
+            // eksik kayıtlar alınır, başka cihazda silinenler silinir, sunucuda olmayan yerel kayıtlar gönderilir.
+            onSnapshot: ({ scans, removedIds }) => {
+                const localItems = scannedItemsRef.current;
+                const remoteIds = new Set(scans.map(record => record.id));
+                const removed = new Set(removedIds);
+                applyRemoteChangesRef.current({ added: scans, removedIds });
+                const unsynced = localItems.filter(item => !remoteIds.has(item.id) && !removed.has(item.id)).reverse();
+                if (unsynced.length > 0) client.push({ added: unsynced });
             }
-        }
-    }, [currentSessionName, selectedLibrary, selectedLocation, scannedItems]);
+        });
+        syncClientRef.current = client;
+        return () => { client.close(); syncClientRef.current = null; };
+    }, [syncEnabled, syncServerUrl, syncToken, currentSessionName]);
+
+    const sync = useMemo(() => ({
+        serverUrl: syncServerUrl,
+        token: syncToken,
+        enabled: syncEnabled,
+        ...syncStatus,
+        connect: (url, token) => { setSyncServerUrl(url); setSyncToken(token); setSyncEnabled(true); localStorage.setItem('syncServerUrl', url); localStorage.setItem('syncToken', token); localStorage.setItem('syncEnabled', 'true'); },
+        disconnect: () => { setSyncEnabled(false); localStorage.setItem('syncEnabled', 'false'); }
+    }), [syncServerUrl, syncToken, syncEnabled, syncStatus]);
+
+    // Koha listesini oturumla birlikte saklar; böylece oturuma dönüldüğünde dosya tekrar istenmez
+    const storeKohaList = useCallback((sessionName) => {
+        const list = kohaListRef.current;
+        if (!sessionName || !list) return;
+        saveKohaList(sessionName, { ...list.source, ...list.packed })
+            .then(meta => setSessions(prev => ({ ...prev, [sessionName]: meta })))
+            .catch(handleStorageError);
+    }, [handleStorageError]);
 
     const handlePermissionDecision = (allow) => { setIsCameraAllowed(allow); setPage('start'); };
     const startNewSession = () => {
         if (!sessionNameInput) { setError("Lütfen yeni sayım için bir isim girin."); return; }
         if (sessions[sessionNameInput]) { setError("Bu isimde bir sayım zaten mevcut. Farklı bir isim seçin."); return; }
         setCurrentSessionName(sessionNameInput);
+        storeKohaList(sessionNameInput);
         setScannedItems([]);
         setLastScanned(null);
         processedBarcodesRef.current.clear();
+        setScanJournal({ undo: [], redo: [] });
+        setSegments([]);
+        setActiveSegment('');
         setError('');
         setPage('pre-reports');
     };
@@ -2477,11 +3431,11 @@ export default function App() {
             isOpen: true,
             message: `"${sessionName}" isimli sayımı silmek istediğinizden emin misiniz? Bu işlem geri alınamaz.`,
             onConfirm: () => {
-                setSessions(prev => { const newSessions = { ...prev }; delete newSessions[sessionName]; localStorage.setItem('kohaInventorySessions', JSON.stringify(newSessions)); return newSessions; });
-                localStorage.removeItem(`koha_session_${sessionName}`);
+                setSessions(prev => { const newSessions = { ...prev }; delete newSessions[sessionName]; return newSessions; });
+                deleteStoredSession(sessionName).catch(e => console.error("Oturum silinemedi:", e));
                 if (localStorage.getItem('activeKohaSessionName') === sessionName) {
                     localStorage.removeItem('activeKohaSessionName');
-                    if (currentSessionName === sessionName) { setCurrentSessionName(''); setSessionNameInput(''); setSelectedLibrary(''); setSelectedLocation(''); setScannedItems([]); setKohaData([]); setKohaDataMap(new Map()); processedBarcodesRef.current.clear(); setLastScanned(null); setError(''); setPage('start'); }
+                    if (currentSessionName === sessionName) { setCurrentSessionName(''); setSessionNameInput(''); setSelectedLibrary(''); setSelectedLocations([]); setScannedItems([]); setKohaData([]); setKohaDataMap(new Map()); processedBarcodesRef.current.clear(); setScanJournal({ undo: [], redo: [] }); setSegments([]); setActiveSegment(''); setLastScanned(null); setError(''); setPage('start'); }
                 }
             }
         });
@@ -2493,215 +3447,462 @@ export default function App() {
             setSelectedLibrary(code);
         } else {
             setCustomLocations(prev => { const newLocs = {...prev, [code]: name}; localStorage.setItem('customLocations', JSON.stringify(newLocs)); return newLocs; });
-            setSelectedLocation(code);
+            setSelectedLocations(prev => (prev.includes(code) ? prev : [...prev, code]));
         }
     };
     
+    const setLibraryProfile = (libraryCode, profileId) => {
+        setLibraryBarcodeProfiles(prev => { const next = { ...prev, [libraryCode]: profileId }; localStorage.setItem('libraryBarcodeProfiles', JSON.stringify(next)); return next; });
+    };
+
+    // Yeni profil kaydedilir ve seçili kütüphaneye atanır
+    const handleAddBarcodeProfile = (profile) => {
+        const id = `custom_${Date.now().toString(36)}`;
+        setCustomBarcodeProfiles(prev => { const next = { ...prev, [id]: { ...profile, id } }; localStorage.setItem('customBarcodeProfiles', JSON.stringify(next)); return next; });
+        if (selectedLibrary) setLibraryProfile(selectedLibrary, id);
+    };
+
+    // Kütüphanenin uyarı kuralları kaydedilir; rules null ise kütüphane varsayılan kurallara döner.
+    // Sayım sürerken kurallar değişirse önceki okutmaların uyarıları yeniden hesaplanmak üzere işaretlenir.
+    const saveLibraryWarningRules = (libraryCode, rules) => {
+        setLibraryWarningRules(prev => {
+            const next = { ...prev };
+            if (rules) next[libraryCode] = rules; else delete next[libraryCode];
+            localStorage.setItem('libraryWarningRules', JSON.stringify(next));
+            return next;
+        });
+        if (currentSessionName && libraryCode === selectedLibrary && scannedItems.length > 0) setAreWarningsStale(true);
+    };
+
+    const barcodeProfiles = useMemo(() => ({ ...BARCODE_PROFILES, ...customBarcodeProfiles }), [customBarcodeProfiles]);
+    const activeWarningRules = useMemo(() => getWarningRules(selectedLibrary, libraryWarningRules), [selectedLibrary, libraryWarningRules]);
     const libraryOptions = useMemo(() => Array.from(new Map([...INITIAL_LIBRARIES, ...Object.entries(customLibraries)]).entries()), [customLibraries]);
     const locationOptions = useMemo(() => Array.from(new Map([...INITIAL_LOCATIONS, ...Object.entries(customLocations)]).entries()), [customLocations]);
     const combinedLibraries = useMemo(() => new Map(libraryOptions), [libraryOptions]);
     const combinedLocations = useMemo(() => new Map(locationOptions), [locationOptions]);
 
-    const handleCsvUpload = (file) => {
-        if (!file || !isPapaParseReady) return;
+    // Seçilen dosya önce önizlenir; kodlama ve ayırıcı tespit edilip kullanıcıya gösterilir
+    const previewCsv = (file, overrides = {}, refresh = false) => {
         setIsLoading(true);
         setError('');
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const buffer = e.target.result;
-                const decoder = new TextDecoder('utf-8');
-                const csvText = decoder.decode(buffer);
-
-                const result = window.Papa.parse(csvText, {
-                    header: true,
-                    skipEmptyLines: true,
-                });
-                
-                const json = result.data;
+        runWorkerTask('PREVIEW_CSV', { file, ...overrides }, 'CSV_PREVIEW')
+            .then(preview => {
+                // Sütunları uyan kayıtlı bir eşleme varsa o, yoksa başlıklara göre önerilen eşleme kullanılır
+                const preset = findMatchingPreset(columnMappingPresets, preview.fields);
+                const suggested = suggestColumnMapping(preview.fields);
+                const mapping = preset ? preset[1] : (preview.format === 'kbart' ? { ...suggested, ...KBART_COLUMN_MAPPING } : suggested);
+                setCsvPreview({ ...preview, file, refresh, mapping, presetName: preset ? preset[0] : '' });
+            })
+            .catch(err => { setError(err.message); setCsvPreview(null); })
+            .finally(() => setIsLoading(false));
+    };
+    // MARC dosyalarının sütunları sabit olduğu için önizleme adımı atlanır.
+    // refresh: sayım sırasında listenin yenilenmesi (farklar gösterilir, okutmalar yeniden değerlendirilir)
+    const handleKohaFileUpload = (file, refresh = false) => {
+        if (!file) return;
+        setCsvPreview(null);
+        if (MARC_FILE_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase())) loadKohaFile('LOAD_MARC', { file, refresh });
+        else previewCsv(file, {}, refresh);
+    };
+    const updateCsvPreview = (overrides) => previewCsv(csvPreview.file, { encoding: csvPreview.encoding, delimiter: csvPreview.delimiter, ...overrides }, csvPreview.refresh);
+    const cancelCsvPreview = () => setCsvPreview(null);
+    const setCsvMapping = (fieldId, column) => setCsvPreview(prev => ({ ...prev, mapping: { ...prev.mapping, [fieldId]: column }, presetName: '' }));
+    const applyMappingPreset = (name) => setCsvPreview(prev => ({ ...prev, mapping: { ...suggestColumnMapping(prev.fields), ...columnMappingPresets[name] }, presetName: name }));
+    const saveMappingPreset = (name) => {
+        const presetName = name.trim();
+        if (!presetName) return;
+        setColumnMappingPresets(prev => { const next = { ...prev, [presetName]: csvPreview.mapping }; localStorage.setItem('columnMappingPresets', JSON.stringify(next)); return next; });
+        setCsvPreview(prev => ({ ...prev, presetName }));
+    };
 
-                if (json.length === 0 || !result.meta.fields.includes('barkod')) {
-                    throw new Error("Yüklenen CSV dosyasında 'barkod' sütunu bulunamadı veya dosya boş.");
-                }
+    // Sayım sırasında yüklenen yeni liste oturumun listesinin yerine geçer ve okutmalar yeni listeye göre değerlendirilir
+    const applyKohaListRefresh = ({ json, map, source, packed, listDiff }) => {
+        setKohaData(json);
+        setKohaDataMap(map);
+        kohaListRef.current = { source, packed };
+        storeKohaList(currentSessionName);
+        return reevaluateScannedItems(setCsvProgress).then(result => {
+            applyReevaluation(result, `Koha listesi yenilendi (${source.fileName})`, map);
+            setKohaRefreshResult({ fileName: source.fileName, listDiff, changed: result.changed });
+        });
+    };
 
+    // CSV ve MARC yüklemelerinin ortak devamı: liste state'e alınır ve oturumla saklanır
+    const loadKohaFile = (type, payload) => {
+        setIsLoading(true);
+        setError('');
+        setCsvProgress({ current: 0, total: 0 });
+        runWorkerTask(type, payload, 'DATA_READY', setCsvProgress)
+            .then(({ kohaData: json, kohaDataMap: map, source, packed, listDiff }) => {
+                if (listDiff) return applyKohaListRefresh({ json, map, source, packed, listDiff });
                 setKohaData(json);
-                setKohaDataMap(new Map(json.map(item => [String(item.barkod), item])));
+                setKohaDataMap(map);
+                kohaListRef.current = { source, packed };
+                const storedList = currentSessionName && sessions[currentSessionName]?.kohaList;
+                if (currentSessionName && !storedList) storeKohaList(currentSessionName);
                 if (isRestoringSession) { setError(''); setPage('scan'); setIsRestoringSession(false); }
-            } catch (err) { setError(`Dosya okunurken bir hata oluştu: ${err.message}`); } finally { setIsLoading(false); }
-        };
-        reader.onerror = () => { setIsLoading(false); setError("Dosya okuma başarısız oldu."); }
-        reader.readAsArrayBuffer(file);
+                // Oturumun başladığı listeden farklı bir dosya yüklendiyse kullanıcı uyarılır; saklanan liste değiştirilmez
+                if (storedList && storedList.fingerprint !== source.fingerprint) {
+                    const diff = source.rowCount - storedList.rowCount;
+                    setError(`Dikkat: Yüklenen dosya (${source.fileName}) "${currentSessionName}" oturumunun başladığı listeden (${storedList.fileName}) farklı. Kayıt sayısı: ${storedList.rowCount} → ${source.rowCount} (${diff >= 0 ? '+' : ''}${diff}).`);
+                }
+            })
+            .catch(err => setError(err.message))
+            .finally(() => { setIsLoading(false); setCsvProgress({ current: 0, total: 0 }); });
+    };
+    const confirmCsvImport = () => {
+        const { file, encoding, delimiter, mapping, refresh } = csvPreview;
+        setCsvPreview(null);
+        loadKohaFile('LOAD_CSV', { file, encoding, delimiter, mapping, refresh });
     };
+    const openKohaRefresh = () => { setError(''); setKohaRefreshResult(null); setIsKohaRefreshOpen(true); };
+    const closeKohaRefresh = () => { setIsKohaRefreshOpen(false); setKohaRefreshResult(null); if (csvPreview?.refresh) setCsvPreview(null); };
+    const csvImport = { preview: csvPreview, presets: columnMappingPresets, update: updateCsvPreview, setMapping: setCsvMapping, applyPreset: applyMappingPreset, savePreset: saveMappingPreset, confirm: confirmCsvImport, cancel: cancelCsvPreview };
     
-    const isIsbn = (barcode) => {
-        const code = String(barcode).replace(/[^0-9]/g, '');
-        if (code.length !== 13 || (!code.startsWith('978') && !code.startsWith('979'))) return false;
-        let sum = 0;
-        for (let i = 0; i < 12; i++) { sum += parseInt(code[i]) * ((i % 2 === 0) ? 1 : 3); }
-        return ((10 - (sum % 10)) % 10) === parseInt(code[12]);
+    // Liste değiştiğinde (oturum yükleme, silme, geri alma) raf sırası karşılaştırması en yeni kayda göre yapılır
+    useEffect(() => {
+        const lastWithCallNumber = scannedItems.find(item => kohaDataMap.get(item.barcode)?.['yer_numarasi']);
+        lastCallNumberRef.current = lastWithCallNumber ? kohaDataMap.get(lastWithCallNumber.barcode)['yer_numarasi'] : null;
+    }, [scannedItems, kohaDataMap]);
+
+    const toggleShelfOrderCheck = (enabled) => { setCheckShelfOrder(enabled); localStorage.setItem('shelfOrderCheck', String(enabled)); };
+    const updateWedgeSettings = (changes) => setWedgeSettings(prev => { const next = { ...prev, ...changes }; localStorage.setItem('wedgeScannerSettings', JSON.stringify(next)); return next; });
+    const toggleContinuousCamera = (enabled) => { setIsContinuousCamera(enabled); localStorage.setItem('continuousCameraMode', String(enabled)); };
+
+    const persistSegments = (segmentNames, active) => {
+        setSegments(segmentNames);
+        setActiveSegment(active);
+        if (!currentSessionName) return;
+        const sessionName = currentSessionName;
+        updateSessionMeta(sessionName, { segments: segmentNames, activeSegment: active })
+            .then(meta => setSessions(prev => ({ ...prev, [sessionName]: meta })))
+            .catch(handleStorageError);
+    };
+    const openSegment = (name) => {
+        const segmentName = name.trim();
+        if (!segmentName) return;
+        persistSegments(segments.includes(segmentName) ? segments : [...segments, segmentName], segmentName);
     };
+    const closeSegment = () => persistSegments(segments, '');
 
-    const processBarcode = useCallback((barcode, isBulk = false) => {
-        const rawBarcode = String(barcode).trim();
-        if (!rawBarcode || !selectedLibrary) return { outcome: 'ignored' };
+    // Yeni bir işlem günlüğe eklenir; yinele geçmişi temizlenir
+    const recordScanAction = useCallback((label, { added = [], removed = [] }) => {
+        setScanJournal(prev => ({ undo: [...prev.undo, { label, added, removed }].slice(-SCAN_JOURNAL_LIMIT), redo: [] }));
+    }, []);
 
-        if (isIsbn(rawBarcode)) {
-            if (!isBulk) { playSound(WARNING_DEFINITIONS.isbnDetected.sound); setWarningModal({ isOpen: true, title: 'ISBN Algılandı', warnings: [WARNING_DEFINITIONS.isbnDetected], barcode: rawBarcode }); }
-            return { outcome: 'isbn' };
-        }
-        
-        let originalBarcode = rawBarcode.replace(/[^0-9]/g, '');
-        let normalizedBarcode = originalBarcode;
-        let wasAutoCompleted = false;
-        const expectedPrefix = String(parseInt(selectedLibrary, 10) + 1000);
+    // Yeniden hesaplanan okutmalar listeye ve depoya yazılır; işlem tek adımda geri alınabilir
+    // Worker çalışırken gelen okutmalar ve senkronizasyon değişiklikleri korunmalı: değişen kayıtlar listeye
+    // kimlikleriyle uygulanır, bu arada silinen kayıtlar geri getirilmez.
+    const applyReevaluation = useCallback(({ changed: evaluated }, label, dataMap) => {
+        const current = new Map(scannedItemsRef.current.map(item => [item.id, item]));
+        const changed = evaluated
+            .filter(change => current.has(change.before.id))
+            .map(({ after }) => { const item = current.get(after.id); return { before: item, after: { ...item, isValid: after.isValid, warnings: after.warnings } }; });
+        if (changed.length === 0) return;
+        const before = changed.map(change => change.before);
+        const after = changed.map(change => change.after);
+        const updated = new Map(after.map(item => [item.id, item]));
+        setScannedItems(prev => prev.map(item => updated.get(item.id) || item));
+        setLastScanned(prev => (prev ? { ...(updated.get(prev.id) || prev), data: dataMap.get(prev.barcode) } : prev));
+        persistScanChanges({ added: after, removedIds: before.map(item => item.id) });
+        recordScanAction(label, { added: after, removed: before });
+    }, [persistScanChanges, recordScanAction]);
+
+    // Worker'ın kütüphane, profil ve kural bilgisi; tekrar kontrolü oturumun o anki işlenen barkod kümesiyle yapılmalı
+    const getWorkerContext = useCallback(() => ({ libraryOptions, processedBarcodes: Array.from(processedBarcodesRef.current), barcodeProfiles, libraryProfiles: libraryBarcodeProfiles, libraryWarningRules }), [libraryOptions, barcodeProfiles, libraryBarcodeProfiles, libraryWarningRules]);
+
+    const reevaluateScannedItems = useCallback((onProgress) => (
+        runWorkerTask('REEVALUATE_SCANS', { scannedItems, selectedLibrary, selectedLocations, checkShelfOrder }, 'SCANS_REEVALUATED', onProgress, getWorkerContext)
+    ), [getWorkerContext, scannedItems, selectedLibrary, selectedLocations, checkShelfOrder, runWorkerTask]);
+
+    // Kütüphane, lokasyon veya kurallar değiştiğinde tüm okutmalar güncel ayarlarla yeniden değerlendirilir
+    const handleRecomputeWarnings = () => {
+        if (scannedItems.length === 0) return;
+        setIsReevaluating(true);
+        setError('');
+        setBulkProgress({ current: 0, total: scannedItems.length });
+        reevaluateScannedItems(setBulkProgress)
+            .then(result => {
+                applyReevaluation(result, 'Uyarılar yeniden hesaplandı', kohaDataMap);
+                setReevaluationResult({ total: scannedItems.length, changed: result.changed, counts: compareWarningCounts(scannedItems, result.items) });
+                setAreWarningsStale(false);
+            })
+            .catch(err => setError(err.message))
+            .finally(() => { setIsReevaluating(false); setBulkProgress({ current: 0, total: 0 }); });
+    };
+    const changeScanScope = (field, value) => {
+        if (field === 'library') setSelectedLibrary(value); else setSelectedLocations(value);
+        if (scannedItems.length > 0) setAreWarningsStale(true);
+    };
 
-        if (normalizedBarcode.length >= 13) normalizedBarcode = normalizedBarcode.slice(0, 12);
-        if(normalizedBarcode.length < 12 && normalizedBarcode.length > 0) { wasAutoCompleted = true; normalizedBarcode = expectedPrefix + originalBarcode.padStart(12 - expectedPrefix.length, '0'); }
-        
-        const itemData = kohaDataMap.get(normalizedBarcode);
-
-        if (processedBarcodesRef.current.has(normalizedBarcode)) {
-            const warning = WARNING_DEFINITIONS.duplicate;
-            const scanResultForDisplay = { barcode: normalizedBarcode, isValid: false, warnings: [warning], data: itemData, timestamp: new Date().toISOString() };
-            const scanResultForStorage = { barcode: normalizedBarcode, isValid: false, warnings: [warning], timestamp: new Date().toISOString() };
-            setScannedItems(prev => [scanResultForStorage, ...prev]);
-            setLastScanned(scanResultForDisplay);
-            if (!isBulk) { playSound(warning.sound); setWarningModal({ isOpen: true, title: 'Tekrarlı Barkod Uyarısı', warnings: [warning], barcode: normalizedBarcode }); }
-            return { outcome: 'error', warnings: [warning] };
-        }
-        
-        processedBarcodesRef.current.add(normalizedBarcode);
-        
-        if (normalizedBarcode.length === 12 && !normalizedBarcode.startsWith(expectedPrefix)) {
-            let finalWarning = WARNING_DEFINITIONS.invalidStructure;
-            for (const [code, name] of combinedLibraries.entries()) {
-                if (normalizedBarcode.startsWith(String(parseInt(code, 10) + 1000))) {
-                    finalWarning = { ...WARNING_DEFINITIONS.wrongLibrary, message: `Farklı Kütüphane (${name})`, libraryName: name };
-                    break;
-                }
-            }
-            const scanResultForDisplay = { barcode: originalBarcode, isValid: false, warnings: [finalWarning], data: itemData, timestamp: new Date().toISOString() };
-            const scanResultForStorage = { barcode: originalBarcode, isValid: false, warnings: [finalWarning], timestamp: new Date().toISOString() };
-            setLastScanned(scanResultForDisplay);
-            setScannedItems(prev => [scanResultForStorage, ...prev]);
-            if (!isBulk) { playSound(finalWarning.sound); setWarningModal({ isOpen: true, title: 'Hatalı Barkod', warnings: [finalWarning], barcode: originalBarcode }); }
-            return { outcome: 'error', warnings: [finalWarning] };
+    // Uyarının önem düzeyine göre bildirim: bilgi için kısa bildirim, diğerleri için uyarı penceresi
+    const notifyWarnings = useCallback(({ title, warnings, barcode }, scanId) => {
+        const severity = getWarningSeverity(warnings);
+        if (warnings.length > 1) playMultipleWarningSound(); else playSound(warnings[0].sound);
+        if (severity === 'info') {
+            if (scanToastTimeoutRef.current) clearTimeout(scanToastTimeoutRef.current);
+            setScanToast({ barcode, warnings });
+            scanToastTimeoutRef.current = setTimeout(() => setScanToast(null), 3000);
+        } else {
+            const next = { isOpen: true, title, warnings, barcode, severity, scanId };
+            // Çözüm bekleyen engelleyici uyarının yerine yenisi açılmaz; sonraki uyarılar sıraya alınır
+            setWarningModal(prev => (prev.isOpen && prev.severity === 'blocking' && prev.scanId
+                ? { ...prev, queued: [...(prev.queued || []), next] }
+                : { ...next, queued: prev.queued }));
         }
+        return severity;
+    }, [playSound, playMultipleWarningSound]);
 
-        const warnings = [];
-        if (itemData) {
-            if (selectedLocation && String(itemData['materyalin_yeri_kodu'] || '') !== selectedLocation) warnings.push(WARNING_DEFINITIONS.locationMismatch);
-            if (!['0', '2'].includes(String(itemData['odunc_verilebilirlik_kodu']))) warnings.push({ ...WARNING_DEFINITIONS.notLoanable, message: `Ödünç Verilemez` });
-            if (String(itemData['materyal_statusu_kodu']) !== '0') warnings.push(WARNING_DEFINITIONS.notInCollection);
-            if (String(itemData['odunc_durumu']) === '1') warnings.push(WARNING_DEFINITIONS.onLoan);
-        } else {
-             warnings.push(wasAutoCompleted ? WARNING_DEFINITIONS.autoCompletedNotFound : WARNING_DEFINITIONS.deleted);
+    const processBarcode = useCallback((barcode, isBulk = false) => {
+        const previousCallNumber = checkShelfOrder ? lastCallNumberRef.current : null;
+        const result = validateBarcode(barcode, { selectedLibrary, selectedLocations, previousCallNumber, kohaDataMap, libraries: combinedLibraries, processedBarcodes: processedBarcodesRef.current, profiles: barcodeProfiles, libraryProfiles: libraryBarcodeProfiles, libraryWarningRules });
+        if (result.outcome === 'ignored') return { outcome: 'ignored' };
+
+        if (result.outcome === 'isbn') {
+            const severity = isBulk ? getWarningSeverity(result.warnings) : notifyWarnings(result, null);
+            return { outcome: 'isbn', severity };
         }
-        
-        const scanResultForDisplay = { barcode: normalizedBarcode, isValid: warnings.length === 0, warnings, data: itemData, timestamp: new Date().toISOString() };
-        const scanResultForStorage = { barcode: normalizedBarcode, isValid: warnings.length === 0, warnings, timestamp: new Date().toISOString() };
-        setLastScanned(scanResultForDisplay);
+
+        if (result.register) processedBarcodesRef.current.add(result.normalizedBarcode);
+        if (result.data?.['yer_numarasi']) lastCallNumberRef.current = result.data['yer_numarasi'];
+
+        const scanResultForStorage = { id: createScanId(), barcode: result.barcode, isValid: result.isValid, warnings: result.warnings, timestamp: new Date().toISOString(), ...(activeSegment && { segment: activeSegment }) };
+        setLastScanned({ ...scanResultForStorage, data: result.data });
         setScannedItems(prev => [scanResultForStorage, ...prev]);
-        
-        if (warnings.length > 0) {
-            if (!isBulk) { if (warnings.length > 1) playMultipleWarningSound(); else playSound(warnings[0].sound); setWarningModal({ isOpen: true, title: 'Uyarılar', warnings, barcode: normalizedBarcode }); }
-            return { outcome: 'error', warnings };
+        persistScanChanges({ added: [scanResultForStorage] });
+        recordScanAction(`Okutma (${result.barcode})`, { added: [scanResultForStorage] });
+
+        if (result.outcome === 'error') {
+            const severity = isBulk ? getWarningSeverity(result.warnings) : notifyWarnings(result, scanResultForStorage.id);
+            return { outcome: 'error', warnings: result.warnings, severity };
         }
-        
+
         if (!isBulk) playSound('C5');
         return { outcome: 'success' };
-    }, [selectedLibrary, selectedLocation, kohaDataMap, combinedLibraries, playSound, playMultipleWarningSound]);
-
-    const processBarcodesInChunks = useCallback((barcodes) => {
-        const chunkSize = 200; let index = 0; setBulkProgress({ current: 0, total: barcodes.length });
-        function processChunk() {
-            const end = Math.min(index + chunkSize, barcodes.length);
-            for (let i = index; i < end; i++) { processBarcode(barcodes[i], true); }
-            index = end;
-            setBulkProgress(prev => ({ ...prev, current: index }));
-            if (index < barcodes.length) { setTimeout(processChunk, 0); } else { setIsBulkLoading(false); setBulkProgress({ current: 0, total: 0 }); setFileUploaderKey(prevKey => prevKey + 1); }
-        }
-        processChunk();
-    }, [processBarcode]);
+    }, [selectedLibrary, selectedLocations, checkShelfOrder, activeSegment, kohaDataMap, combinedLibraries, barcodeProfiles, libraryBarcodeProfiles, libraryWarningRules, playSound, notifyWarnings, persistScanChanges, recordScanAction]);
+
+    // Toplu yükleme ve veri toplayıcı dökümlerinin ortak akışı: worker dosyayı işler, sonuçlar tek adımda
+    // listeye eklenir ve geri alınabilir. Kayıtta segment yoksa açık segment kullanılır.
+    const runBulkImport = useCallback((type, payload, label) => {
+        setIsBulkLoading(true);
+        setError('');
+        setBulkProgress({ current: 0, total: 0 });
+        return runWorkerTask(type, { ...payload, selectedLibrary, selectedLocations, checkShelfOrder, previousCallNumber: lastCallNumberRef.current }, 'BULK_PROCESSED', setBulkProgress, getWorkerContext)
+            .then(result => {
+                const { results, registered } = result;
+                registered.forEach(barcode => processedBarcodesRef.current.add(barcode));
+                if (results.length === 0) return result;
+                const storedItems = results.map(({ barcode, isValid, warnings, timestamp, location, segment = activeSegment }) => ({ id: createScanId(), barcode, isValid, warnings, timestamp, ...(location && { location }), ...(segment && { segment }) }));
+                setLastScanned({ ...storedItems[storedItems.length - 1], data: results[results.length - 1].data });
+                setScannedItems(prev => [...[...storedItems].reverse(), ...prev]);
+                persistScanChanges({ added: storedItems });
+                recordScanAction(`${label} (${storedItems.length} kayıt)`, { added: storedItems });
+                return { ...result, storedItems };
+            })
+            .catch(err => { setError(err.message); return null; })
+            .finally(() => { setIsBulkLoading(false); setBulkProgress({ current: 0, total: 0 }); setFileUploaderKey(prevKey => prevKey + 1); });
+    }, [getWorkerContext, selectedLibrary, selectedLocations, checkShelfOrder, activeSegment, runWorkerTask, persistScanChanges, recordScanAction]);
 
     const handleBulkUpload = useCallback((files) => {
         const file = files[0];
         if (!file) return;
-        setIsBulkLoading(true);
+        runBulkImport('PROCESS_BULK_FILE', { file }, 'Toplu yükleme');
+    }, [runBulkImport]);
+
+    // Veri toplayıcı dökümü önce önizlenir; sütun düzeni kayıtlı düzenle başlar ve kullanıcı değiştirebilir
+    const previewCollectorFile = (file, delimiter) => {
         setError('');
-        const reader = new FileReader();
-        const fileExtension = file.name.split('.').pop().toLowerCase();
-    
-        reader.onload = (e) => {
-            try {
-                let barcodes = [];
-                if (fileExtension === 'txt') {
-                    const buffer = e.target.result;
-                    const decoder = new TextDecoder('utf-8');
-                    const textData = decoder.decode(buffer);
-                    barcodes = textData.split(/\r?\n/).filter(line => line.trim() !== '');
-                } else if (['xlsx', 'xls'].includes(fileExtension)) {
-                    if (!isXlsxReady) {
-                        setError("Excel kütüphanesi hazır değil.");
-                        setIsBulkLoading(false);
-                        return;
-                    }
-                    const workbook = window.XLSX.read(e.target.result, { type: 'array' });
-                    const sheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[sheetName];
-                    const json = window.XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-                    barcodes = json.map(row => row[0]).filter(barcode => barcode != null && String(barcode).trim() !== '');
-                } else {
-                     throw new Error("Lütfen geçerli bir .txt veya .xlsx dosyası yükleyin.");
-                }
-                processBarcodesInChunks(barcodes);
-            } catch (err) {
-                setError(`Toplu yükleme sırasında hata: ${err.message}`);
-                setIsBulkLoading(false);
-            }
-        };
-    
-        reader.onerror = () => {
-            setError("Dosya okuma başarısız oldu.");
-            setIsBulkLoading(false);
-        };
-        reader.readAsArrayBuffer(file);
-    }, [isXlsxReady, processBarcodesInChunks]);
+        setIsCollectorPreviewLoading(true);
+        runWorkerTask('PREVIEW_COLLECTOR_FILE', { file, delimiter }, 'COLLECTOR_PREVIEW')
+            .then(preview => setCollectorPreview({ ...preview, file }))
+            .catch(err => { setError(err.message); setCollectorPreview(null); })
+            .finally(() => { setIsCollectorPreviewLoading(false); setFileUploaderKey(prevKey => prevKey + 1); });
+    };
+    const handleCollectorFile = (files) => { if (files[0]) previewCollectorFile(files[0], collectorLayout.delimiter); };
+    const updateCollectorLayout = (changes) => {
+        const next = { ...collectorLayout, ...changes };
+        setCollectorLayout(next);
+        localStorage.setItem('collectorLayout', JSON.stringify(next));
+        if (changes.delimiter && collectorPreview) previewCollectorFile(collectorPreview.file, changes.delimiter);
+    };
+    const confirmCollectorImport = () => {
+        const { file } = collectorPreview;
+        setCollectorPreview(null);
+        runBulkImport('PROCESS_COLLECTOR_FILE', { file, layout: collectorLayout }, `Veri toplayıcı (${file.name})`).then(result => {
+            if (!result?.storedItems) return;
+            // Dökümdeki yeni raf/bölümler segment listesine eklenir; açık segment değişmez
+            const newSegments = [...new Set(result.storedItems.map(item => item.segment).filter(Boolean))].filter(name => !segments.includes(name));
+            if (newSegments.length > 0) persistSegments([...segments, ...newSegments], activeSegment);
+            if (result.undatedCount > 0) setError(`Dikkat: ${result.undatedCount} kaydın okutma zamanı okunamadı; bu kayıtlara içe aktarma zamanı verildi.`);
+        });
+    };
+    const collectorImport = { preview: collectorPreview, layout: collectorLayout, isLoading: isCollectorPreviewLoading, selectFile: handleCollectorFile, updateLayout: updateCollectorLayout, confirm: confirmCollectorImport, cancel: () => setCollectorPreview(null) };
 
     const handleCameraScan = useCallback((decodedText) => {
         setIsProcessingScan(true); const result = processBarcode(decodedText);
-        if (result.outcome === 'error') setIsCameraOpen(false);
+        // Kamera yalnızca engelleyici uyarılarda kapanır; diğer uyarılarda okutmaya devam edilir
+        if (result.severity === 'blocking') setIsCameraOpen(false);
         setTimeout(() => setIsProcessingScan(false), 500);
         return result;
     }, [processBarcode]);
     
+    // Sürekli taramada kamera kapanırken kuyrukta kalan barkodlar; toplu yüklemedeki gibi pencere açmadan işlenir
+    const handlePendingCameraCodes = useCallback((codes) => setPendingCameraCodes(prev => [...prev, ...codes.filter(code => !prev.includes(code))]), []);
+    // Fotoğraftaki barkodlar okunur; birden fazla barkod varsa toplu yüklemedeki gibi pencere açılmaz
+    const handlePhotoScan = async (file) => {
+        const { codes } = await decodeImageFile(file);
+        codes.forEach(code => processBarcode(code, codes.length > 1));
+        return codes;
+    };
+    const processPendingCameraCodes = () => {
+        pendingCameraCodes.forEach(code => processBarcode(code, true));
+        setPendingCameraCodes([]);
+    };
+
     const handleBarcodeInput = (e) => {
         const value = e.target.value.replace(/[^0-9]/g, '');
         setBarcodeInput(value);
         if (manualInputDebounceRef.current) clearTimeout(manualInputDebounceRef.current);
-        if (value.length >= 12) { manualInputDebounceRef.current = setTimeout(() => { processBarcode(value); setBarcodeInput(''); }, 100); }
+        // Okuyucu modunda barkodlar bitiş tuşuyla veya duraklamayla ayrılır; uzunluğa göre otomatik ekleme yapılmaz
+        if (!wedgeSettings.enabled && value.length >= 12) { manualInputDebounceRef.current = setTimeout(() => { processBarcode(value); setBarcodeInput(''); }, 100); }
     };
+
+    useEffect(() => {
+        wedgeCodeHandlerRef.current = (code) => {
+            if (manualInputDebounceRef.current) clearTimeout(manualInputDebounceRef.current);
+            setBarcodeInput('');
+            // Kameradaki gibi uyarı penceresi açıkken okutma işlenmez; barkodlar sıraya alınır
+            if (warningModal.isOpen) { pendingWedgeCodesRef.current.push(code); return; }
+            processBarcode(code);
+        };
+    }, [processBarcode, warningModal.isOpen]);
+
+    // Pencere kapanınca sıradaki barkodlar işlenir; yeni bir uyarı penceresi açılırsa kalanlar onu bekler
+    useEffect(() => {
+        if (warningModal.isOpen) return;
+        while (pendingWedgeCodesRef.current.length > 0) {
+            const result = processBarcode(pendingWedgeCodesRef.current.shift());
+            if (result.severity && result.severity !== 'info') break;
+        }
+    }, [warningModal.isOpen, processBarcode]);
+
+    // Okuyucu modu: tuşlar sayım ekranının tamamında dinlenir, böylece odak barkod kutusundan kaymış olsa da
+    // (ör. bir düğmede) okutmalar kaybolmaz. Barkod kutusu dışındaki yazı alanlarında yazılanlara dokunulmaz.
+    useEffect(() => {
+        if (page !== 'scan' || !wedgeSettings.enabled) return;
+        const reader = createWedgeReader(wedgeSettings, (code) => wedgeCodeHandlerRef.current(code));
+        const handleKeyDown = (e) => {
+            if (e.ctrlKey || e.altKey || e.metaKey) return;
+            if (e.target.id !== 'barcode-input' && isTextField(e.target)) return;
+            if (reader.handleKey(e.key, e.timeStamp)) { e.preventDefault(); e.stopPropagation(); }
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => { window.removeEventListener('keydown', handleKeyDown, true); reader.reset(); };
+    }, [page, wedgeSettings]);
     
-    const handleDeleteItem = (timestampToDelete) => { 
+    // Engelleyici uyarının çözümü okutma kaydına yazılır; 'removed' seçilirse okutma silinir
+    // Sırada bekleyen uyarı varsa pencere onunla açık kalır
+    const closeWarningModal = () => setWarningModal(prev => (prev.queued?.length > 0
+        ? { ...prev.queued[0], queued: prev.queued.slice(1) }
+        : { isOpen: false, title: '', warnings: [], barcode: null }));
+    // Kayıtları onay anındaki listeden çıkarır. Liste ve günlük aynı anlık görüntüden hesaplanır;
+    // onay penceresi açıkken okutulan kayıtlar listede, yerel depoda ve eşitlemede kalır.
+    const removeScans = (itemsToRemove, label) => {
+        const removedIds = new Set(itemsToRemove.map(item => item.id));
+        const remaining = scannedItemsRef.current.filter(item => !removedIds.has(item.id));
+        const remainingBarcodes = new Set(remaining.map(item => item.barcode));
+        itemsToRemove.forEach(item => { if (!remainingBarcodes.has(item.barcode)) processedBarcodesRef.current.delete(item.barcode); });
+        setScannedItems(prev => prev.filter(item => !removedIds.has(item.id)));
+        setLastScanned(prev => (prev && removedIds.has(prev.id)
+            ? (remaining.length > 0 ? { ...remaining[0], data: kohaDataMap.get(remaining[0].barcode) } : null)
+            : prev));
+        persistScanChanges({ removedIds: [...removedIds] });
+        recordScanAction(label, { removed: itemsToRemove });
+    };
+
+    const resolveBlockingWarning = (scanId, resolution) => {
+        closeWarningModal();
+        const item = scannedItemsRef.current.find(scan => scan.id === scanId);
+        if (!item) return;
+        if (resolution === 'removed') {
+            removeScans([item], `Silme (${item.barcode})`);
+            return;
+        }
+        const resolved = { ...item, resolution };
+        setScannedItems(prev => prev.map(scan => (scan.id === scanId ? resolved : scan)));
+        setLastScanned(prev => (prev && prev.id === scanId ? { ...prev, resolution } : prev));
+        persistScanChanges({ added: [resolved], removedIds: [scanId] });
+        recordScanAction(`Uyarı çözümü (${item.barcode})`, { added: [resolved], removed: [item] });
+    };
+
+    const handleDeleteItem = (idToDelete) => { 
         setConfirmationModal({ 
             isOpen: true, message: "Bu kaydı silmek istediğinizden emin misiniz?", 
             onConfirm: () => { 
-                setScannedItems(currentItems => {
-                    const itemToDelete = currentItems.find(item => item.timestamp === timestampToDelete);
-                    if (!itemToDelete) return currentItems;
-                    const newItems = currentItems.filter(item => item.timestamp !== timestampToDelete);
-                    if (lastScanned && lastScanned.timestamp === timestampToDelete) {
-                        const newLastScannedItem = newItems.length > 0 ? newItems[0] : null;
-                        if(newLastScannedItem) { setLastScanned({ ...newLastScannedItem, data: kohaDataMap.get(newLastScannedItem.barcode) }); } else { setLastScanned(null); }
-                    }
-                    if (currentItems.filter(item => item.barcode === itemToDelete.barcode).length === 1) { processedBarcodesRef.current.delete(itemToDelete.barcode); }
-                    return newItems;
-                });
+                const itemToDelete = scannedItemsRef.current.find(item => item.id === idToDelete);
+                if (itemToDelete) removeScans([itemToDelete], `Silme (${itemToDelete.barcode})`);
             } 
         }); 
     };
     
-    const handleClearAllScans = () => { setConfirmationModal({ isOpen: true, message: "Okutulan tüm barkodları silmek istediğinizden emin misiniz? Bu işlem geri alınamaz.", onConfirm: () => { setScannedItems([]); processedBarcodesRef.current.clear(); setLastScanned(null); } }); };
+    const handleClearAllScans = () => { setConfirmationModal({ isOpen: true, message: "Okutulan tüm barkodları silmek istediğinizden emin misiniz? Bu işlemi \"Geri Al\" ile geri alabilirsiniz.", onConfirm: () => { const items = scannedItemsRef.current; if (items.length > 0) removeScans(items, `Tümünü silme (${items.length} kayıt)`); } }); };
+
+    // Günlükteki bir adımı uygular. İşlenen barkod kümesi, oturum yüklenirken olduğu gibi sonuç listesinden yeniden kurulur.
+    const applyJournalStep = useCallback((diff) => {
+        const newItems = applyScanDiff(scannedItemsRef.current, diff);
+        setScannedItems(prev => applyScanDiff(prev, diff));
+        processedBarcodesRef.current = new Set(newItems.map(i => i.barcode));
+        setLastScanned(newItems.length > 0 ? { ...newItems[0], data: kohaDataMap.get(newItems[0].barcode) } : null);
+        persistScanChanges({ added: diff.added, removedIds: diff.removed.map(item => item.id) });
+    }, [kohaDataMap, persistScanChanges]);
+
+    const handleUndo = useCallback(() => {
+        const step = scanJournal.undo[scanJournal.undo.length - 1];
+        if (!step) return;
+        applyJournalStep({ added: step.removed, removed: step.added });
+        setScanJournal(prev => ({ undo: prev.undo.slice(0, -1), redo: [...prev.redo, step] }));
+    }, [scanJournal, applyJournalStep]);
+
+    const handleRedo = useCallback(() => {
+        const step = scanJournal.redo[scanJournal.redo.length - 1];
+        if (!step) return;
+        applyJournalStep(step);
+        setScanJournal(prev => ({ undo: [...prev.undo, step], redo: prev.redo.slice(0, -1) }));
+    }, [scanJournal, applyJournalStep]);
+
+    const handleReopenSegment = (name) => { openSegment(name); setPage('scan'); };
+
+    // Segmentin önceki okutmaları silinip segment yeniden açılır; silme işlemi geri alınabilir
+    const handleRescanSegment = (name) => {
+        const segmentCount = scannedItems.filter(item => item.segment === name).length;
+        setConfirmationModal({
+            isOpen: true,
+            message: `"${name}" rafındaki ${segmentCount} okutma silinip raf yeniden sayılacak. Devam edilsin mi?`,
+            onConfirm: () => {
+                const segmentItems = scannedItemsRef.current.filter(item => item.segment === name);
+                if (segmentItems.length > 0) {
+                    applyJournalStep({ added: [], removed: segmentItems });
+                    recordScanAction(`Raf yeniden sayım (${name})`, { removed: segmentItems });
+                }
+                handleReopenSegment(name);
+            }
+        });
+    };
+
+    // Ctrl+Z / Ctrl+Shift+Z (ve Ctrl+Y) kısayolları; dolu bir metin kutusunda tarayıcının kendi geri almasına dokunulmaz
+    useEffect(() => {
+        if (page !== 'scan') return;
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+            if (['INPUT', 'TEXTAREA'].includes(e.target.tagName) && e.target.value) return;
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) handleRedo(); else handleUndo();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [page, handleUndo, handleRedo]);
     const handleManualEntry = (e) => { e.preventDefault(); if (barcodeInput) { if (manualInputDebounceRef.current) clearTimeout(manualInputDebounceRef.current); processBarcode(barcodeInput); setBarcodeInput(''); } };
 
     const handleOnLoanUpload = (file) => {
@@ -2721,13 +3922,15 @@ export default function App() {
                 if (fileExtension === 'txt') { 
                     barcodes = textData.split(/\r?\n/).filter(line => line.trim() !== ''); 
                 } else if (fileExtension === 'csv') {
-                    if (!isPapaParseReady) { setError("CSV kütüphanesi hazır değil."); setIsBulkLoading(false); return; }
-                    const result = window.Papa.parse(textData, { skipEmptyLines: true });
+                    const result = Papa.parse(textData, { skipEmptyLines: true });
                     barcodes = result.data.map(row => row[0]).filter(barcode => barcode != null && String(barcode).trim() !== '');
                 }
                 const uploadedBarcodes = new Set(barcodes.map(b => String(b).trim().replace(/[^0-9]/g, '')).filter(Boolean));
-                const newScanResults = Array.from(uploadedBarcodes).map(barcode => { processedBarcodesRef.current.add(barcode); return { barcode, isValid: false, warnings: [WARNING_DEFINITIONS.onLoan], timestamp: new Date().toISOString() }; });
-                setScannedItems(prevItems => { const otherItems = prevItems.filter(item => !uploadedBarcodes.has(item.barcode)); return [...newScanResults, ...otherItems]; });
+                const newScanResults = Array.from(uploadedBarcodes).map(barcode => { processedBarcodesRef.current.add(barcode); return { id: createScanId(), barcode, isValid: false, warnings: [WARNING_DEFINITIONS.onLoan], timestamp: new Date().toISOString(), source: 'loanList' }; });
+                const replacedItems = scannedItems.filter(item => uploadedBarcodes.has(item.barcode));
+                setScannedItems(prevItems => { const otherItems = prevItems.filter(item => !uploadedBarcodes.has(item.barcode)); return [...[...newScanResults].reverse(), ...otherItems]; });
+                persistScanChanges({ added: newScanResults, removedIds: replacedItems.map(item => item.id) });
+                recordScanAction(`Ödünç listesi (${newScanResults.length} kayıt)`, { added: newScanResults, removed: replacedItems });
             } catch (err) { setError(`Güncel ödünç listesi işlenirken hata: ${err.message}`); } 
             finally { setIsBulkLoading(false); setPage('summary'); }
         };
@@ -2740,13 +3943,19 @@ export default function App() {
     const downloadTxt = (data, filename) => { const blob = new Blob([data], { type: 'text/plain;charset=utf-8;' }); const url = URL.createObjectURL(blob); const link = document.createElement('a'); link.href = url; link.download = filename; document.body.appendChild(link); link.click(); document.body.removeChild(link); URL.revokeObjectURL(url); };
     
     const downloadXlsx = (data, filename) => {
-        if (!isXlsxReady) { alert("Excel kütüphanesi hazır değil."); return; }
-        const ws = window.XLSX.utils.json_to_sheet(data);
-        const wb = window.XLSX.utils.book_new();
-        window.XLSX.utils.book_append_sheet(wb, ws, "Rapor");
-        window.XLSX.writeFile(wb, filename);
+        const ws = XLSX.utils.json_to_sheet(data);
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, "Rapor");
+        XLSX.writeFile(wb, filename);
     };
 
+    // Raf bazında ilerleme yalnızca özet ekranında hesaplanır (Koha listesinin tamamı taranır)
+    const segmentSummary = useMemo(() => {
+        if (page !== 'summary' || segments.length === 0) return [];
+        return summarizeSegments({ segmentNames: segments, scannedItems, kohaData, kohaDataMap, selectedLocations });
+    }, [page, segments, scannedItems, kohaData, kohaDataMap, selectedLocations]);
+    const downloadSegmentMissing = (segment) => downloadXlsx(transformReportData(segment.missing), `raf_eksikleri_${segment.name}_${currentSessionName}.xlsx`);
+
     const PRE_ANALYSIS_REPORTS_CONFIG = useMemo(() => [
         { id: 'preOnLoan', title: 'Ödünçteki Materyaller', format: '.xlsx', icon: ICONS.onLoan, description: 'Koha verisine göre halihazırda bir okuyucunun üzerinde ödünçte görünen materyaller.', generator: () => { const data = kohaData.filter(i => String(i['odunc_durumu']) === '1'); downloadXlsx(transformReportData(data), `on_analiz_oduncteki_materyaller_${currentSessionName}.xlsx`); } },
         { id: 'preStatusIssues', title: 'Düşüm / Devir Statüsündeki Materyaller', format: '.xlsx', icon: ICONS.status, description: 'Koha verisine göre materyal statüsü "düşüm" veya "devir" gibi koleksiyon dışı bir durumu gösteren tüm materyaller.', generator: () => { const data = kohaData.filter(i => String(i['materyal_statusu_kodu']) !== '0'); downloadXlsx(transformReportData(data), `on_analiz_dusum_devir_statulu_${currentSessionName}.xlsx`); } },
@@ -2761,16 +3970,14 @@ export default function App() {
                 downloadXlsx(transformReportData(data), `on_analiz_odunc_verilemeyecekler_${currentSessionName}.xlsx`); 
             } 
         },
-    ], [kohaData, currentSessionName, isXlsxReady]);
+    ], [kohaData, currentSessionName]);
 
     const POST_SCAN_REPORTS_CONFIG = useMemo(() => [ 
         { 
             id: 'writeOff', title: 'Düşüm İşlemi İçin Barkodlar (Eksikler)', format: '.txt', icon: ICONS.writeOff, description: "Bu dosya, Koha Materyal Düzeltme/Düşüm Modülü'ne yüklenerek materyallerin topluca düşümünü sağlar.", links: [{ text: 'Koha Düşüm Modülü', url: 'https://personel.ekutuphane.gov.tr/cgi-bin/koha/tools/batchMod.pl' }], notes: ['Sadece Müdür/Yönetici yetkisine sahip personel erişebilir.', 'Yetkisi olmayanlar koha@ktb.gov.tr adresinden talep edebilir.'], 
             generator: () => { 
                 const scannedBarcodes = new Set(scannedItems.filter(i => !i.warnings.some(w => w.id === 'duplicate')).map(i => i.barcode)); 
-                const missingBarcodes = kohaData
-                    .filter(i => String(i['materyal_statusu_kodu']) === '0' && String(i['odunc_durumu']) === '0' && !scannedBarcodes.has(String(i.barkod)))
-                    .map(i => String(i.barkod).slice(0, 12)); 
+                const missingBarcodes = splitMissingItems(kohaData, scannedBarcodes, selectedLocations).missing.map(i => String(i.barkod).slice(0, 12)); 
                 downloadTxt(missingBarcodes.join('\n'), `sayim_sonucu_dusum_icin_eksik_barkodlar_${currentSessionName}.txt`); 
             } 
         }, 
@@ -2778,23 +3985,31 @@ export default function App() {
             id: 'missing', title: 'Eksik Materyaller', format: '.xlsx', icon: ICONS.missing, description: 'Sayım sırasında hiç okutulmamış olan, kütüphane koleksiyonuna ait materyallerin listesi.', 
             generator: () => { 
                 const scannedBarcodes = new Set(scannedItems.filter(i => !i.warnings.some(w => w.id === 'duplicate')).map(i => i.barcode)); 
-                const missingItems = kohaData.filter(i => String(i['materyal_statusu_kodu']) === '0' && String(i['odunc_durumu']) === '0' && !scannedBarcodes.has(String(i.barkod))); 
+                const missingItems = splitMissingItems(kohaData, scannedBarcodes, selectedLocations).missing; 
                 downloadXlsx(transformReportData(missingItems), `sayim_sonucu_eksik_materyaller_${currentSessionName}.xlsx`); 
             } 
         }, 
-        { id: 'duplicateScans', title: 'Tekrar Okutulan Barkodlar', format: '.xlsx', icon: ICONS.all, description: 'Sayım sırasında birden fazla kez okutulan tüm barkodların listesi. Bu rapor, hem koleksiyon listesinde olan hem de olmayan tekrar okutulmuş barkodları içerir.', generator: () => { const barcodeCounts = scannedItems.reduce((acc, item) => { acc[item.barcode] = (acc[item.barcode] || 0) + 1; return acc; }, {}); const duplicates = Object.entries(barcodeCounts).filter(([, count]) => count > 1).map(([barcode, count]) => { const itemData = kohaDataMap.get(barcode); const firstInstance = scannedItems.find(item => item.barcode === barcode); const wrongLibWarning = firstInstance.warnings.find(w => w.id === 'wrongLibrary'); return { 'Barkod': barcode, 'Tekrar Sayısı': count, 'Eser Adı': itemData?.['eser_adi'] || 'Bilinmiyor', 'Yer Numarası': itemData?.['yer_numarasi'] || '', 'Farklı Kütüphane Adı': wrongLibWarning?.libraryName || '' }; }); downloadXlsx(duplicates, `sayim_sonucu_tekrar_okutulanlar_${currentSessionName}.xlsx`); } }, { id: 'invalidStructure', title: '❗ Yapıya Uygun Olmayan Barkodlar (Okutulanlar)', format: '.xlsx', icon: ICONS.status, description: 'Sayım sırasında okutulan ve barkod yapısı bilinen hiçbir kütüphane koduna uymayan barkodlar.', generator: () => { const data = scannedItems.filter(i => i.warnings.some(w => w.id === 'invalidStructure')).map(i => ({ Hatalı_Barkod: i.barcode })); downloadXlsx(data, `sayim_sonucu_yapiya_uygun_olmayanlar_${currentSessionName}.xlsx`); } }, { id: 'deletedScanned', title: '❗ Listede Olmayan ve Sayımı Yapılan Barkodlar', format: '.xlsx', icon: ICONS.status, description: 'Sayım sırasında okutulan ancak Koha\'dan indirilen listede bulunamayan barkodlar (muhtemelen sistemden silinmiş veya hatalı girilmiş).', generator: () => { const data = scannedItems.filter(i => i.warnings.some(w => w.id === 'deleted' || w.id === 'autoCompletedNotFound')).map(i => ({ Barkod: i.barcode, 'Not': 'Okutuldu, listede bulunamadı' })); downloadXlsx(data, `sayim_sonucu_listede_olmayan_okutulanlar_${currentSessionName}.xlsx`); } }, { id: 'allResults', title: 'Tüm Sayım Sonuçları (Uyarılar Dahil)', format: '.xlsx', icon: ICONS.all, description: 'Sayım boyunca okutulan tüm materyallerin, aldıkları uyarılarla birlikte tam listesi.', generator: () => { const data = scannedItems.map(i => { const itemData = kohaDataMap.get(i.barcode); const wrongLibWarning = i.warnings.find(w => w.id === 'wrongLibrary'); const transformedKohaData = itemData ? transformReportData([itemData])[0] : {}; return { Barkod: i.barcode, 'Eser Adı': itemData?.['eser_adi'] || '', Uyarılar: i.warnings.map(w => w.message || w.text).join(', ') || 'Temiz', 'Farklı Kütüphane Adı': wrongLibWarning?.libraryName || '', ...transformedKohaData }; }); downloadXlsx(data, `sayim_sonucu_tum_sonuclar_${currentSessionName}.xlsx`); } }, { id: 'cleanList', title: 'Temiz Liste (Uyarısız Okutulanlar)', format: '.xlsx', icon: ICONS.clean, description: 'Sayım sırasında okutulan ve hiçbir uyarı almayan, durumu ve konumu doğru olan materyallerin listesi.', generator: () => { const data = scannedItems.filter(i => i.isValid).map(i => kohaDataMap.get(i.barcode)); downloadXlsx(transformReportData(data), `sayim_sonucu_temiz_liste_${currentSessionName}.xlsx`); } }, { id: 'wrongLibrary', title: 'Kütüphanenize Ait Olmayan ve Okutulan Barkodlar', format: '.xlsx', icon: ICONS.wrongLib, description: 'Sayım sırasında okutulan ancak sayım yapılan kütüphaneye ait olmayan (farklı şube koduna sahip) materyaller.', generator: () => { const data = scannedItems.filter(i => i.warnings.some(w => w.id === 'wrongLibrary')).map(i => { const wrongLibWarning = i.warnings.find(w => w.id === 'wrongLibrary'); return { 'Barkod': i.barcode, 'Ait Olduğu Kütüphane': wrongLibWarning?.libraryName || 'Bilinmiyor' }; }); downloadXlsx(data, `sayim_sonucu_kutuphane_disi_${currentSessionName}.xlsx`); } }, { id: 'locationMismatch', title: 'Yer Uyumsuzları (Okutulanlar)', format: '.xlsx', icon: ICONS.location, description: 'Sayım sırasında, başlangıçta seçilen lokasyon dışında bir yerde okutulan materyaller.', generator: () => { const data = scannedItems.filter(i => i.warnings.some(w => w.id === 'locationMismatch')).map(i => kohaDataMap.get(i.barcode)); downloadXlsx(transformReportData(data), `sayim_sonucu_yer_uyumsuz_${currentSessionName}.xlsx`); } }, ], [kohaData, scannedItems, currentSessionName, isXlsxReady, combinedLibraries, kohaDataMap]);
-    const summaryData = useMemo(() => { if (kohaData.length === 0) return null; const STATUS_MAP = { '0': 'Eser Koleksiyonda', '1': 'Düşüm Yapıldı', '2': 'Devir Yapıldı' }; const materialStatusCounts = kohaData.reduce((acc, item) => { const statusName = STATUS_MAP[String(item['materyal_statusu_kodu'])] || `Bilinmeyen Statü (${item['materyal_statusu_kodu']})`; acc[statusName] = (acc[statusName] || 0) + 1; return acc; }, {}); const materialStatusPieData = Object.entries(materialStatusCounts).map(([name, value]) => ({ name, value })); const warningCounts = scannedItems.flatMap(item => item.warnings).reduce((acc, warning) => { acc[warning.id] = (acc[warning.id] || 0) + 1; return acc; }, {}); const warningBarData = Object.entries(warningCounts).map(([id, count]) => ({ name: WARNING_DEFINITIONS[id]?.text || id, Sayı: count })); const scanProgress = scannedItems.reduce((acc, item) => { const hour = new Date(item.timestamp).getHours().toString().padStart(2, '0') + ':00'; acc[hour] = (acc[hour] || 0) + 1; return acc; }, {}); const scanProgressData = Object.entries(scanProgress).map(([time, count]) => ({ time, 'Okutulan Sayısı': count })).sort((a,b) => a.time.localeCompare(b.time)); const topErrorLocations = scannedItems.filter(i => !i.isValid).reduce((acc, item) => { const itemData = kohaDataMap.get(item.barcode); const loc = itemData?.['materyalin_yeri_kodu'] || 'Bilinmeyen'; acc[loc] = (acc[loc] || 0) + 1; return acc; }, {}); const topErrorLocationsData = Object.entries(topErrorLocations).map(([name, count]) => ({ name, 'Hata Sayısı': count })).sort((a, b) => b['Hata Sayısı'] - a['Hata Sayısı']).slice(0, 10); let scanSpeed = 0; if(scannedItems.length > 1){ const firstScanTime = new Date(scannedItems[scannedItems.length - 1].timestamp).getTime(); const lastScanTime = new Date(scannedItems[0].timestamp).getTime(); const durationMinutes = (lastScanTime - firstScanTime) / (1000 * 60); scanSpeed = durationMinutes > 0 ? Math.round(scannedItems.length / durationMinutes) : "∞"; } const activeKohaData = kohaData.filter(item => String(item['materyal_statusu_kodu']) === '0'); const uniqueScannedItems = [...new Map(scannedItems.map(item => [item.barcode, item])).values()]; const activeScannedItems = uniqueScannedItems.filter(item => kohaDataMap.has(item.barcode) && String(kohaDataMap.get(item.barcode)['materyal_statusu_kodu']) === '0'); const valid = activeScannedItems.filter(item => item.isValid).length; const invalid = activeScannedItems.length - valid; const notScannedCount = activeKohaData.length - activeScannedItems.length; const pieData = [ { name: 'Geçerli', value: valid }, { name: 'Uyarılı', value: invalid }, { name: 'Eksik', value: notScannedCount > 0 ? notScannedCount : 0 } ]; const locationStatus = {}; activeKohaData.forEach(item => { const loc = item['materyalin_yeri_kodu'] || 'Bilinmeyen'; if(!locationStatus[loc]) locationStatus[loc] = { 'Geçerli': 0, 'Uyarılı': 0, 'Eksik': 0 }; }); activeScannedItems.forEach(item => { const itemData = kohaDataMap.get(item.barcode); const loc = itemData?.['materyalin_yeri_kodu'] || 'Bilinmeyen'; if(!locationStatus[loc]) locationStatus[loc] = { 'Geçerli': 0, 'Uyarılı': 0, 'Eksik': 0 }; if(item.isValid) locationStatus[loc]['Geçerli']++; else locationStatus[loc]['Uyarılı']++; }); const scannedActiveKohaBarcodes = new Set(activeScannedItems.map(i => i.barcode)); activeKohaData.forEach(item => { const loc = item['materyalin_yeri_kodu'] || 'Bilinmeyen'; if(!scannedActiveKohaBarcodes.has(String(item.barkod))) { locationStatus[loc]['Eksik']++; } }); const locationStatusData = Object.entries(locationStatus).map(([name, data]) => ({ name, ...data })); return { totalScanned: scannedItems.length, valid, invalid, notScannedCount, scanSpeed, pieData, warningBarData, scanProgressData, locationStatusData, topErrorLocationsData, materialStatusPieData }; }, [scannedItems, kohaData, kohaDataMap]);
+        ...(selectedLocations.length > 0 ? [{ 
+            id: 'outOfScope', title: 'Kapsam Dışı Materyaller', format: '.xlsx', icon: ICONS.location, description: 'Sayımın seçilen lokasyonları dışında kalan ve okutulmamış materyaller. Bu materyaller eksik sayılmaz ve düşüm listesine alınmaz.', 
+            generator: () => { 
+                const scannedBarcodes = new Set(scannedItems.filter(i => !i.warnings.some(w => w.id === 'duplicate')).map(i => i.barcode)); 
+                const outOfScopeItems = splitMissingItems(kohaData, scannedBarcodes, selectedLocations).outOfScope; 
+                downloadXlsx(transformReportData(outOfScopeItems), `sayim_sonucu_kapsam_disi_materyaller_${currentSessionName}.xlsx`); 
+            } 
+        }] : []), 
+        { id: 'duplicateScans', title: 'Tekrar Okutulan Barkodlar', format: '.xlsx', icon: ICONS.all, description: 'Sayım sırasında birden fazla kez okutulan tüm barkodların listesi. Bu rapor, hem koleksiyon listesinde olan hem de olmayan tekrar okutulmuş barkodları içerir.', generator: () => { const barcodeCounts = scannedItems.reduce((acc, item) => { acc[item.barcode] = (acc[item.barcode] || 0) + 1; return acc; }, {}); const duplicates = Object.entries(barcodeCounts).filter(([, count]) => count > 1).map(([barcode, count]) => { const itemData = kohaDataMap.get(barcode); const firstInstance = scannedItems.find(item => item.barcode === barcode); const wrongLibWarning = firstInstance.warnings.find(w => w.id === 'wrongLibrary'); return { 'Barkod': barcode, 'Tekrar Sayısı': count, 'Eser Adı': itemData?.['eser_adi'] || 'Bilinmiyor', 'Yer Numarası': itemData?.['yer_numarasi'] || '', 'Farklı Kütüphane Adı': wrongLibWarning?.libraryName || '' }; }); downloadXlsx(duplicates, `sayim_sonucu_tekrar_okutulanlar_${currentSessionName}.xlsx`); } }, { id: 'invalidStructure', title: '❗ Yapıya Uygun Olmayan Barkodlar (Okutulanlar)', format: '.xlsx', icon: ICONS.status, description: 'Sayım sırasında okutulan ve barkod yapısı bilinen hiçbir kütüphane koduna uymayan barkodlar.', generator: () => { const data = scannedItems.filter(i => i.warnings.some(w => w.id === 'invalidStructure')).map(i => ({ Hatalı_Barkod: i.barcode })); downloadXlsx(data, `sayim_sonucu_yapiya_uygun_olmayanlar_${currentSessionName}.xlsx`); } }, { id: 'deletedScanned', title: '❗ Listede Olmayan ve Sayımı Yapılan Barkodlar', format: '.xlsx', icon: ICONS.status, description: 'Sayım sırasında okutulan ancak Koha\'dan indirilen listede bulunamayan barkodlar (muhtemelen sistemden silinmiş veya hatalı girilmiş).', generator: () => { const data = scannedItems.filter(i => i.warnings.some(w => w.id === 'deleted' || w.id === 'autoCompletedNotFound')).map(i => ({ Barkod: i.barcode, 'Not': 'Okutuldu, listede bulunamadı' })); downloadXlsx(data, `sayim_sonucu_listede_olmayan_okutulanlar_${currentSessionName}.xlsx`); } }, { id: 'allResults', title: 'Tüm Sayım Sonuçları (Uyarılar Dahil)', format: '.xlsx', icon: ICONS.all, description: 'Sayım boyunca okutulan tüm materyallerin, aldıkları uyarılarla birlikte tam listesi.', generator: () => { const data = scannedItems.map(i => { const itemData = kohaDataMap.get(i.barcode); const wrongLibWarning = i.warnings.find(w => w.id === 'wrongLibrary'); const transformedKohaData = itemData ? transformReportData([itemData])[0] : {}; return { Barkod: i.barcode, 'Eser Adı': itemData?.['eser_adi'] || '', Uyarılar: i.warnings.map(w => w.message || w.text).join(', ') || 'Temiz', 'Farklı Kütüphane Adı': wrongLibWarning?.libraryName || '', ...transformedKohaData }; }); downloadXlsx(data, `sayim_sonucu_tum_sonuclar_${currentSessionName}.xlsx`); } }, { id: 'cleanList', title: 'Temiz Liste (Uyarısız Okutulanlar)', format: '.xlsx', icon: ICONS.clean, description: 'Sayım sırasında okutulan ve hiçbir uyarı almayan, durumu ve konumu doğru olan materyallerin listesi.', generator: () => { const data = scannedItems.filter(i => i.isValid).map(i => kohaDataMap.get(i.barcode)); downloadXlsx(transformReportData(data), `sayim_sonucu_temiz_liste_${currentSessionName}.xlsx`); } }, { id: 'wrongLibrary', title: 'Kütüphanenize Ait Olmayan ve Okutulan Barkodlar', format: '.xlsx', icon: ICONS.wrongLib, description: 'Sayım sırasında okutulan ancak sayım yapılan kütüphaneye ait olmayan (farklı şube koduna sahip) materyaller.', generator: () => { const data = scannedItems.filter(i => i.warnings.some(w => w.id === 'wrongLibrary')).map(i => { const wrongLibWarning = i.warnings.find(w => w.id === 'wrongLibrary'); return { 'Barkod': i.barcode, 'Ait Olduğu Kütüphane': wrongLibWarning?.libraryName || 'Bilinmiyor' }; }); downloadXlsx(data, `sayim_sonucu_kutuphane_disi_${currentSessionName}.xlsx`); } }, { id: 'shelfOrder', title: 'Raf Okuma Raporu (Sıra Dışı Diziler)', format: '.xlsx', icon: ICONS.location, description: 'Okutma sırasına göre yer numarası sırası bozulan diziler. Her dizi, doğru sıradaki son materyalden (önceki yer no) küçük kalan ardışık materyalleri listeler.', generator: () => { const entries = [...scannedItems].reverse().filter(i => !i.warnings.some(w => w.id === 'duplicate')).map(i => { const itemData = kohaDataMap.get(i.barcode); return { barcode: i.barcode, title: itemData?.['eser_adi'] || '', callNumber: itemData?.['yer_numarasi'] || '', timestamp: i.timestamp }; }); const data = findOutOfOrderRuns(entries).flatMap((run, index) => run.items.map(entry => ({ 'Dizi No': index + 1, 'Önceki Yer No': run.anchor.callNumber, 'Önceki Barkod': run.anchor.barcode, 'Barkod': entry.barcode, 'Eser Adı': entry.title, 'Yer Numarası': entry.callNumber, 'Okutma Zamanı': new Date(entry.timestamp).toLocaleString('tr-TR') }))); downloadXlsx(data, `sayim_sonucu_raf_sirasi_${currentSessionName}.xlsx`); } }, { id: 'locationMismatch', title: 'Yer Uyumsuzları (Okutulanlar)', format: '.xlsx', icon: ICONS.location, description: 'Sayım sırasında, başlangıçta seçilen lokasyon dışında bir yerde okutulan materyaller.', generator: () => { const data = scannedItems.filter(i => i.warnings.some(w => w.id === 'locationMismatch')).map(i => kohaDataMap.get(i.barcode)); downloadXlsx(transformReportData(data), `sayim_sonucu_yer_uyumsuz_${currentSessionName}.xlsx`); } }, ], [kohaData, scannedItems, currentSessionName, combinedLibraries, kohaDataMap, selectedLocations]);
+    const summaryData = useMemo(() => { if (kohaData.length === 0) return null; const STATUS_MAP = { '0': 'Eser Koleksiyonda', '1': 'Düşüm Yapıldı', '2': 'Devir Yapıldı' }; const materialStatusCounts = kohaData.reduce((acc, item) => { const statusName = STATUS_MAP[String(item['materyal_statusu_kodu'])] || `Bilinmeyen Statü (${item['materyal_statusu_kodu']})`; acc[statusName] = (acc[statusName] || 0) + 1; return acc; }, {}); const materialStatusPieData = Object.entries(materialStatusCounts).map(([name, value]) => ({ name, value })); const warningCounts = scannedItems.flatMap(item => item.warnings).reduce((acc, warning) => { if (!acc[warning.id]) acc[warning.id] = { name: warning.text || WARNING_DEFINITIONS[warning.id]?.text || warning.id, count: 0 }; acc[warning.id].count++; return acc; }, {}); const warningBarData = Object.values(warningCounts).map(({ name, count }) => ({ name, Sayı: count })); const scanProgress = scannedItems.reduce((acc, item) => { const hour = new Date(item.timestamp).getHours().toString().padStart(2, '0') + ':00'; acc[hour] = (acc[hour] || 0) + 1; return acc; }, {}); const scanProgressData = Object.entries(scanProgress).map(([time, count]) => ({ time, 'Okutulan Sayısı': count })).sort((a,b) => a.time.localeCompare(b.time)); const topErrorLocations = scannedItems.filter(i => !i.isValid).reduce((acc, item) => { const itemData = kohaDataMap.get(item.barcode); const loc = itemData?.['materyalin_yeri_kodu'] || 'Bilinmeyen'; acc[loc] = (acc[loc] || 0) + 1; return acc; }, {}); const topErrorLocationsData = Object.entries(topErrorLocations).map(([name, count]) => ({ name, 'Hata Sayısı': count })).sort((a, b) => b['Hata Sayısı'] - a['Hata Sayısı']).slice(0, 10); let scanSpeed = 0; if(scannedItems.length > 1){ const scanTimes = scannedItems.map(item => new Date(item.timestamp).getTime()); const firstScanTime = scanTimes.reduce((a, b) => Math.min(a, b)); const lastScanTime = scanTimes.reduce((a, b) => Math.max(a, b)); const durationMinutes = (lastScanTime - firstScanTime) / (1000 * 60); scanSpeed = durationMinutes > 0 ? Math.round(scannedItems.length / durationMinutes) : "∞"; } const activeKohaData = kohaData.filter(item => String(item['materyal_statusu_kodu']) === '0'); const scopedKohaData = activeKohaData.filter(item => isInLocationScope(item, selectedLocations)); const uniqueScannedItems = [...new Map(scannedItems.map(item => [item.barcode, item])).values()]; const activeScannedItems = uniqueScannedItems.filter(item => kohaDataMap.has(item.barcode) && String(kohaDataMap.get(item.barcode)['materyal_statusu_kodu']) === '0'); const valid = activeScannedItems.filter(item => item.isValid).length; const invalid = activeScannedItems.length - valid; const scopedScannedCount = activeScannedItems.filter(item => isInLocationScope(kohaDataMap.get(item.barcode), selectedLocations)).length; const notScannedCount = scopedKohaData.length - scopedScannedCount; const outOfScopeCount = selectedLocations.length > 0 ? splitMissingItems(kohaData, new Set(scannedItems.map(item => item.barcode)), selectedLocations).outOfScope.length : 0; const pieData = [ { name: 'Geçerli', value: valid }, { name: 'Uyarılı', value: invalid }, { name: 'Eksik', value: notScannedCount > 0 ? notScannedCount : 0 } ]; const locationStatus = {}; scopedKohaData.forEach(item => { const loc = item['materyalin_yeri_kodu'] || 'Bilinmeyen'; if(!locationStatus[loc]) locationStatus[loc] = { 'Geçerli': 0, 'Uyarılı': 0, 'Eksik': 0 }; }); activeScannedItems.forEach(item => { const itemData = kohaDataMap.get(item.barcode); const loc = itemData?.['materyalin_yeri_kodu'] || 'Bilinmeyen'; if(!locationStatus[loc]) locationStatus[loc] = { 'Geçerli': 0, 'Uyarılı': 0, 'Eksik': 0 }; if(item.isValid) locationStatus[loc]['Geçerli']++; else locationStatus[loc]['Uyarılı']++; }); const scannedActiveKohaBarcodes = new Set(activeScannedItems.map(i => i.barcode)); scopedKohaData.forEach(item => { const loc = item['materyalin_yeri_kodu'] || 'Bilinmeyen'; if(!scannedActiveKohaBarcodes.has(String(item.barkod))) { locationStatus[loc]['Eksik']++; } }); const locationStatusData = Object.entries(locationStatus).map(([name, data]) => ({ name, ...data })); return { totalScanned: scannedItems.length, valid, invalid, notScannedCount, outOfScopeCount, scanSpeed, pieData, warningBarData, scanProgressData, locationStatusData, topErrorLocationsData, materialStatusPieData }; }, [scannedItems, kohaData, kohaDataMap, selectedLocations]);
     
     const pageTitles = { start: 'Yeni Sayım', 'pre-reports': 'Ön Raporlar', scan: 'Sayım', 'update-on-loan': 'Güncel Ödünçleri Yükle', 'check-returns': 'İade Kontrolü', summary: 'Özet & Raporlar', permission: 'Kamera İzni', merge: 'Eksik Dosyalarını Birleştir' };
     const MobileHeader = ({ onMenuClick, pageTitle }) => (<header className="md:hidden bg-white shadow-md p-4 flex items-center justify-between sticky top-0 z-20"><button onClick={onMenuClick} className="p-2 text-slate-600"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="3" y1="12" x2="21" y2="12"/><line x1="3" y1="6" x2="21" y2="6"/><line x1="3" y1="18" x2="21" y2="18"/></svg></button><h2 className="text-lg font-bold text-slate-800">{pageTitle}</h2><div className="w-8"></div></header>);
     const renderPageContent = () => {
         switch (page) {
-            case 'start': return <StartScreen {...{ sessions, sessionNameInput, setSessionNameInput, startNewSession, error, setError, loadSession, deleteSession, selectedLibrary, setSelectedLibrary, libraryOptions, setAddDataModal, selectedLocation, setSelectedLocation, locationOptions, kohaData, handleCsvUpload, isPapaParseReady, isLoading }} />;
-            case 'pre-reports': return <PreReportsScreen {...{ currentSessionName, error, setPage, preAnalysisReports: PRE_ANALYSIS_REPORTS_CONFIG, isXlsxReady }} />;
-            case 'update-on-loan': return <UpdateOnLoanScreen {...{ handleOnLoanUpload, setPage, isPapaParseReady, isLoading: isBulkLoading }} />;
+            case 'start': return <StartScreen {...{ sessions, sessionNameInput, setSessionNameInput, startNewSession, error, setError, loadSession, deleteSession, selectedLibrary, setSelectedLibrary, libraryOptions, setAddDataModal, barcodeProfiles, libraryBarcodeProfiles, setLibraryProfile, setIsBarcodeProfileModalOpen, setIsWarningRulesModalOpen, selectedLocations, setSelectedLocations, locationOptions, kohaData, handleKohaFileUpload, csvImport, isLoading }} />;
+            case 'pre-reports': return <PreReportsScreen {...{ currentSessionName, error, setPage, preAnalysisReports: PRE_ANALYSIS_REPORTS_CONFIG }} />;
+            case 'update-on-loan': return <UpdateOnLoanScreen {...{ handleOnLoanUpload, setPage, isLoading: isBulkLoading }} />;
             case 'check-returns': return <CheckReturnsScreen setPage={setPage} />;
-            case 'summary': return <SummaryScreen {...{ currentSessionName, summaryData, preAnalysisReports: PRE_ANALYSIS_REPORTS_CONFIG, postScanReports: POST_SCAN_REPORTS_CONFIG, isXlsxReady, isHtmlToImageReady }} />;
-            case 'scan': return <ScanScreen {...{ isCameraOpen, isQrCodeReady, isCameraAllowed, setIsCameraOpen, handleCameraScan, warningModal, currentSessionName, combinedLibraries, selectedLibrary, combinedLocations, selectedLocation, barcodeInput, handleBarcodeInput, handleManualEntry, lastScanned, handleBulkUpload, isBulkLoading, setPage, scannedItems, filteredScannedItems, searchTerm, setSearchTerm, warningFilter, setWarningFilter, handleDeleteItem, handleClearAllScans, fileUploaderKey, kohaDataMap, isXlsxReady }} />;
+            case 'summary': return <SummaryScreen {...{ currentSessionName, summaryData, segmentSummary, onReopenSegment: handleReopenSegment, onRescanSegment: handleRescanSegment, onDownloadSegmentMissing: downloadSegmentMissing, preAnalysisReports: PRE_ANALYSIS_REPORTS_CONFIG, postScanReports: POST_SCAN_REPORTS_CONFIG }} />;
+            case 'scan': return <ScanScreen {...{ isCameraOpen, isCameraAllowed, setIsCameraOpen, handleCameraScan, warningModal, currentSessionName, combinedLibraries, selectedLibrary, combinedLocations, selectedLocations, barcodeInput, handleBarcodeInput, handleManualEntry, lastScanned, handleBulkUpload, isBulkLoading, setPage, scannedItems, filteredScannedItems, searchTerm, setSearchTerm, warningFilter, setWarningFilter, handleDeleteItem, handleClearAllScans, scanJournal, handleUndo, handleRedo, checkShelfOrder, toggleShelfOrderCheck, segments, activeSegment, openSegment, closeSegment, sync, openKohaRefresh, changeScanScope, handleRecomputeWarnings, areWarningsStale, fileUploaderKey, kohaDataMap, activeWarningRules, setIsWarningRulesModalOpen, isContinuousCamera, toggleContinuousCamera, handlePendingCameraCodes, pendingCameraCodes, setPendingCameraCodes, processPendingCameraCodes, handlePhotoScan, wedgeSettings, updateWedgeSettings, collectorImport }} />;
             case 'merge': return <MergeScreen />;
             default: return null;
         }
@@ -2802,12 +4017,19 @@ export default function App() {
     
     return (
         <div className="font-sans">
-            {isBulkLoading && <FullScreenLoader text="Toplu Barkodlar Yükleniyor..." progress={bulkProgress} />}
-            {isLoading && <FullScreenLoader text="Koha dosyası okunuyor, lütfen bekleyin..." />}
-            <WarningModal isOpen={warningModal.isOpen} onClose={() => setWarningModal({ isOpen: false, title: '', warnings: [], barcode: null })} {...warningModal} />
+            <WarningModal isOpen={warningModal.isOpen} onClose={closeWarningModal} onResolve={resolveBlockingWarning} {...warningModal} />
+            <ScanToast toast={scanToast} onClose={() => setScanToast(null)} />
             <ConfirmationModal isOpen={confirmationModal.isOpen} onClose={() => setConfirmationModal({ isOpen: false, message: '', onConfirm: () => {} })} {...confirmationModal} />
             <AddDataModal isOpen={addDataModal.isOpen} onClose={() => setAddDataModal({isOpen: false, type: ''})} onAdd={handleAddCustomData} type={addDataModal.type} />
+            <BarcodeProfileModal isOpen={isBarcodeProfileModalOpen} onClose={() => setIsBarcodeProfileModalOpen(false)} onAdd={handleAddBarcodeProfile} />
+            <WarningRulesModal isOpen={isWarningRulesModalOpen} onClose={() => setIsWarningRulesModalOpen(false)} libraryName={combinedLibraries.get(selectedLibrary)} rules={activeWarningRules} isCustom={Boolean(libraryWarningRules[selectedLibrary])} onSave={(rules) => saveLibraryWarningRules(selectedLibrary, rules)} onReset={() => saveLibraryWarningRules(selectedLibrary, null)} onPreviewSound={playSound} />
+            <ReevaluationModal result={reevaluationResult} onClose={() => setReevaluationResult(null)} />
+            <KohaRefreshModal isOpen={isKohaRefreshOpen} onClose={closeKohaRefresh} onFileAccepted={(file) => handleKohaFileUpload(file, true)} csvImport={csvImport} result={kohaRefreshResult} error={error} isLoading={isLoading} />
             <ShareModal isOpen={isShareModalOpen} onClose={() => setIsShareModalOpen(false)} />
+            {/* Yükleme göstergeleri açık pencerelerin (ör. Koha listesini yenileme) üstünde görünür */}
+            {isBulkLoading && <FullScreenLoader text="Toplu Barkodlar Yükleniyor..." progress={bulkProgress} />}
+            {isLoading && <FullScreenLoader text="Koha dosyası okunuyor, lütfen bekleyin..." progress={csvProgress} />}
+            {isReevaluating && <FullScreenLoader text="Uyarılar yeniden hesaplanıyor..." progress={bulkProgress} />}
             {showInstallPopup && <InstallPopup onInstall={handleInstallClick} onDismiss={handleDismissInstallPopup} />}
             <Sidebar {...{ page, setPage, currentSessionName, selectedLibrary, kohaData, scannedItems, isMuted, setIsMuted, isMobileMenuOpen, setMobileMenuOpen, onShare: () => setIsShareModalOpen(true), onInstall: handleInstallClick, installPrompt }} />
             <div className="md:ml-64 flex flex-col min-h-screen bg-slate-100">
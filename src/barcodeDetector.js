@@ -0,0 +1,116 @@
+// src/barcodeDetector.js
+
+// Barkod çözme motoru seçimi. Tarayıcı Shape Detection API'sini (BarcodeDetector) sunuyorsa çizgisel
+// kütüphane barkodlarında çok daha hızlı ve isabetli olan yerleşik algılayıcı kullanılır; yoksa
+// html5-qrcode'un JavaScript çözücüsüne şerit şerit çözme ile geri dönülür.
+
+import { Html5Qrcode } from 'html5-qrcode';
+import { LINEAR_BARCODE_FORMATS, decodeInStrips, getSourceSize } from './continuousScan.js';
+
+export const DETECTOR_ENGINE_NAMES = {
+    native: 'Tarayıcının yerleşik barkod algılayıcısı (BarcodeDetector)',
+    html5qrcode: 'html5-qrcode (JavaScript çözücü)'
+};
+
+// LINEAR_BARCODE_FORMATS'ın BarcodeDetector'daki karşılıkları
+const NATIVE_FORMATS = ['code_128', 'ean_13', 'ean_8', 'itf'];
+
+// html5-qrcode'un genel dosya API'si (scanFileV2) ile çalışan çözücü. Kamera taraması süren bir örnek dosya
+// tarayamadığı için ayrı bir örnek kurulur. Örneğin öğesi çözme sırasında DOM'da bulunmalıdır;
+// close() süren çözmeyi bekleyip öğeyi kaldırır.
+const createFileDecoder = () => {
+    const element = document.createElement('div');
+    element.id = `barcode-decoder-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    element.hidden = true;
+    document.body.appendChild(element);
+    const scanner = new Html5Qrcode(element.id, { formatsToSupport: LINEAR_BARCODE_FORMATS, verbose: false });
+    let current = Promise.resolve();
+    let isClosed = false;
+    // scanFileV2 dosya için iki nesne adresi oluşturur ve birini hiç bırakmaz; şerit başına bir resim sızmaması için
+    // adresler (çağrının eşzamanlı kısmında oluşturulur) toplanıp çözme bitince bırakılır
+    const decodeFile = async (file) => {
+        if (isClosed) throw new Error('Çözücü kapatıldı.');
+        const urls = [];
+        const createObjectURL = URL.createObjectURL;
+        URL.createObjectURL = (object) => { const url = createObjectURL.call(URL, object); urls.push(url); return url; };
+        let decoding;
+        try { decoding = scanner.scanFileV2(file, false); } finally { URL.createObjectURL = createObjectURL; }
+        current = decoding.catch(() => {});
+        try { return (await decoding).decodedText; } finally { urls.forEach(url => URL.revokeObjectURL(url)); }
+    };
+    const decodeCanvas = async (canvas) => {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('Görüntü alınamadı.');
+        return decodeFile(new File([blob], 'strip.png', { type: 'image/png' }));
+    };
+    const close = () => {
+        isClosed = true;
+        current.then(() => { scanner.clear(); element.remove(); });
+    };
+    return { decodeFile, decodeCanvas, close };
+};
+
+let nativeFormatsPromise = null;
+// Tarayıcının desteklediği çizgisel biçimler; BarcodeDetector yoksa veya hiçbiri desteklenmiyorsa boş liste
+const getNativeFormats = () => {
+    if (!nativeFormatsPromise) {
+        nativeFormatsPromise = typeof globalThis.BarcodeDetector === 'undefined'
+            ? Promise.resolve([])
+            : globalThis.BarcodeDetector.getSupportedFormats()
+                .then(supported => NATIVE_FORMATS.filter(format => supported.includes(format)))
+                .catch(() => []);
+    }
+    return nativeFormatsPromise;
+};
+
+export const getDetectorEngine = async () => ((await getNativeFormats()).length > 0 ? 'native' : 'html5qrcode');
+
+/**
+ * Görüntüdeki tüm barkodları bulan algılayıcı oluşturur.
+ * Dönen: { engine, detect(source), close() } — detect, video/resim/canvas için [{ text, rect }] döndürür;
+ * close, algılayıcı artık kullanılmayacaksa çağrılır
+ */
+export const createBarcodeDetector = async () => {
+    const formats = await getNativeFormats();
+    if (formats.length > 0) {
+        const detector = new globalThis.BarcodeDetector({ formats });
+        const detect = async (source) => {
+            const { width, height } = getSourceSize(source);
+            const codes = await detector.detect(source);
+            return codes.map(({ rawValue, boundingBox }) => ({ text: rawValue, rect: { x: boundingBox.x / width, y: boundingBox.y / height, width: boundingBox.width / width, height: boundingBox.height / height } }));
+        };
+        return { engine: 'native', detect, close: () => {} };
+    }
+    const decoder = createFileDecoder();
+    const canvas = document.createElement('canvas');
+    return { engine: 'html5qrcode', detect: (source) => decodeInStrips(decoder.decodeCanvas, source, canvas), close: decoder.close };
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => { URL.revokeObjectURL(url); resolve(image); };
+    image.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Resim açılamadı.')); };
+    image.src = url;
+});
+
+/**
+ * Fotoğraftaki barkodları okur. JavaScript çözücüde şeritlere ek olarak resmin tamamı da denenir;
+ * kamera görüntüsünün aksine fotoğraftaki barkod ortada olmayabilir.
+ * Dönen: { engine, codes: [metin] }
+ */
+export const decodeImageFile = async (file) => {
+    const image = await loadImage(file);
+    if ((await getDetectorEngine()) === 'native') {
+        const { engine, detect } = await createBarcodeDetector();
+        return { engine, codes: [...new Set((await detect(image)).map(({ text }) => text))] };
+    }
+    const decoder = createFileDecoder();
+    try {
+        const codes = new Set((await decodeInStrips(decoder.decodeCanvas, image, document.createElement('canvas'))).map(({ text }) => text));
+        try { codes.add(await decoder.decodeFile(file)); } catch { /* resmin tamamında barkod bulunamadı */ }
+        return { engine: 'html5qrcode', codes: [...codes].filter(Boolean) };
+    } finally {
+        decoder.close();
+    }
+};
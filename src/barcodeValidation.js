@@ -0,0 +1,277 @@
+// src/barcodeValidation.js
+
+import { compareCallNumbers } from './callNumber.js';
+import { isInLocationScope } from './locationScope.js';
+
+// Barkod doğrulama kuralları. Canlı okutma (App.jsx) ve toplu işleme (worker.js)
+// aynı fonksiyonu kullanır; bu modül React state'ine, sese veya modallara dokunmaz.
+
+// severity: 'info' (bildirim ve ses), 'attention' (uyarı penceresi), 'blocking' (pencere ve çözüm seçimi)
+export const WARNING_DEFINITIONS = {
+    invalidStructure: { id: 'invalidStructure', text: 'Yapıya Uygun Olmayan', color: '#E74C3C', sound: 'A#3', severity: 'attention', message: 'Okutulan barkod gerekli yapıyla eşleşmiyor.' },
+    locationMismatch: { id: 'locationMismatch', text: 'Konum Farklı', color: '#FAD7A0', sound: 'C4', severity: 'info', message: 'Okutulan materyal seçilen lokasyonlarda bulunmuyor.' },
+    notLoanable: { id: 'notLoanable', text: 'Ödünç Verilemez', color: '#F08080', sound: 'E5', severity: 'info', message: "Materyalin ödünç verilebilirlik durumu uygun değil." },
+    notInCollection: { id: 'notInCollection', text: 'Düşüm/Devir', color: '#A9C9F5', sound: 'G4', severity: 'blocking', message: 'Materyal koleksiyonda değil (düşüm veya devir yapılmış).' },
+    onLoan: { id: 'onLoan', text: 'Okuyucuda', color: '#F7B38D', sound: 'C4', severity: 'blocking', message: 'Materyal şu anda ödünçte ve iade edilmesi gerekiyor.' },
+    wrongLibrary: { id: 'wrongLibrary', text: 'Farklı Kütüphane', color: '#C7AED9', sound: 'C4', severity: 'blocking', message: 'Materyal sizin kütüphanenize ait değil.' },
+    deleted: { id: 'deleted', text: 'Listede Yok', color: '#808080', sound: 'A3', severity: 'attention', message: 'Barkod formatı doğru ancak içeri aktarılan listede bulunamadı. (muhtemelen silinmiş materyal olabilir)' },
+    autoCompletedNotFound: { id: 'autoCompletedNotFound', text: 'Manuel Girilen Bulunamadı', color: '#8E44AD', sound: 'A3', severity: 'attention', message: 'Barkod 12 haneye tamamlandı ancak içeri aktardığınız listede bulunamadı. Lütfen materyal barkodunu kontrol edin.' },
+    checkDigitMismatch: { id: 'checkDigitMismatch', text: 'Kontrol Hanesi Hatalı', color: '#B03A2E', sound: 'D3', severity: 'attention', message: 'Barkodun son hanesi (kontrol hanesi) doğrulanamadı. Barkod yanlış okunmuş veya yanlış girilmiş olabilir; lütfen tekrar okutun.' },
+    misshelved: { id: 'misshelved', text: 'Raf Sırası Hatalı', color: '#16A085', sound: 'E4', severity: 'info', message: 'Materyal, bir önceki okutulan materyalden önce gelmeli (yer numarası sırası bozuk).' },
+    duplicate: { id: 'duplicate', text: 'Tekrar Okutuldu', color: '#FFC300', sound: 'B4', severity: 'info', message: 'Bu barkod daha önce okutuldu.'},
+    isbnDetected: { id: 'isbnDetected', text: 'ISBN Algılandı', color: '#E67E22', sound: 'F#4', severity: 'attention', message: 'Okutulan barkod bir ISBN olabilir. Lütfen materyalin üzerindeki demirbaş barkodunu okutun.' }
+};
+
+/**
+ * Materyal uyarı kuralları. Koha kaydının bir alanı operatör ve değerlerle karşılaştırılır; kural
+ * tutarsa uyarı verilir. Her kütüphane kendi kural listesini kullanabilir (varsayılan: DEFAULT_WARNING_RULES).
+ *   - field: Koha sütunu (örn: 'odunc_verilebilirlik_kodu')
+ *   - operator: RULE_OPERATORS anahtarlarından biri
+ *   - values: 'in' ve 'notIn' için karşılaştırılan değerler
+ *   - text, message, color, sound: uyarının adı, açıklaması, rengi ve sesi
+ *   - severity: WARNING_SEVERITIES anahtarlarından biri
+ *   - enabled: false ise kural uygulanmaz
+ */
+export const RULE_OPERATORS = {
+    in: { name: 'Şu değerlerden biri ise', hasValues: true },
+    notIn: { name: 'Şu değerlerden biri değilse', hasValues: true },
+    empty: { name: 'Boş ise', hasValues: false },
+    notEmpty: { name: 'Dolu ise', hasValues: false },
+    outsideLocations: { name: 'Sayımın lokasyonları dışında ise', hasValues: false }
+};
+export const WARNING_SEVERITIES = { info: 'Bilgi', attention: 'Dikkat', blocking: 'Engelleyici' };
+export const DEFAULT_WARNING_SEVERITY = 'attention';
+const SEVERITY_ORDER = ['info', 'attention', 'blocking'];
+
+// Uyarılardan en ağırının önem düzeyi. Önem düzeyi olmadan kaydedilmiş eski uyarılar tanımlarındaki düzeyi alır.
+export const getWarningSeverity = (warnings) => warnings.reduce((highest, warning) => {
+    const severity = warning.severity || WARNING_DEFINITIONS[warning.id]?.severity || DEFAULT_WARNING_SEVERITY;
+    return SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(highest) ? severity : highest;
+}, SEVERITY_ORDER[0]);
+
+const ruleFromDefinition = (id, field, operator, values = [], overrides = {}) => {
+    const { text, message, color, sound, severity } = WARNING_DEFINITIONS[id];
+    return { id, field, operator, values, text, message, color, sound, severity, enabled: true, ...overrides };
+};
+export const DEFAULT_WARNING_RULES = [
+    ruleFromDefinition('locationMismatch', 'materyalin_yeri_kodu', 'outsideLocations'),
+    ruleFromDefinition('notLoanable', 'odunc_verilebilirlik_kodu', 'notIn', ['0', '2'], { message: 'Ödünç Verilemez' }),
+    ruleFromDefinition('notInCollection', 'materyal_statusu_kodu', 'notIn', ['0']),
+    ruleFromDefinition('onLoan', 'odunc_durumu', 'in', ['1'])
+];
+
+// Kütüphaneye atanmış kuralları döndürür; atanmamışsa varsayılan kurallar kullanılır
+export const getWarningRules = (libraryCode, libraryRules = {}) => libraryRules[libraryCode] || DEFAULT_WARNING_RULES;
+
+const matchesRule = (rule, itemData, selectedLocations) => {
+    const value = String(itemData[rule.field] ?? '').trim();
+    switch (rule.operator) {
+        case 'in': return rule.values.includes(value);
+        case 'notIn': return !rule.values.includes(value);
+        case 'empty': return value === '';
+        case 'notEmpty': return value !== '';
+        case 'outsideLocations': return !isInLocationScope(itemData, selectedLocations);
+        default: return false;
+    }
+};
+
+// ISBN kontrol fonksiyonu
+export const isIsbn = (barcode) => {
+    const code = String(barcode).replace(/[^0-9]/g, '');
+    if (code.length !== 13 || (!code.startsWith('978') && !code.startsWith('979'))) return false;
+    let sum = 0;
+    for (let i = 0; i < 12; i++) { sum += parseInt(code[i]) * ((i % 2 === 0) ? 1 : 3); }
+    return ((10 - (sum % 10)) % 10) === parseInt(code[12]);
+};
+
+// Kütüphane kodundan barkod önekini üretir ("library code + 1000")
+export const getLibraryPrefix = (libraryCode) => String(parseInt(libraryCode, 10) + 1000);
+
+/**
+ * Barkod yapısı profilleri. Her kütüphane bir profile atanır (varsayılan: 'standard').
+ *   - length: Koha'daki barkod uzunluğu (0: serbest uzunluk)
+ *   - prefix: önek türetme kuralı — 'libraryPlus1000' | 'libraryCode' | 'none'
+ *   - checkDigit: barkodun sonuna eklenen kontrol hanesi — 'none' | 'mod10' | 'mod11' | 'isbn10'
+ *   - padding: kısa girişlerin tamamlanması — 'prefix' (önek + sıfır), 'zeros' (baştan sıfır), 'none'
+ *   - truncate: uzun girişler profil uzunluğuna kesilsin mi
+ *   - alphanumeric: harf içeren barkodlara izin verilsin mi
+ */
+export const BARCODE_PROFILES = {
+    standard: { id: 'standard', name: 'Standart (12 hane, kütüphane kodu + 1000)', length: 12, prefix: 'libraryPlus1000', checkDigit: 'mod10', padding: 'prefix', truncate: true, alphanumeric: false },
+    legacy8: { id: 'legacy8', name: 'Eski 8 haneli (öneksiz)', length: 8, prefix: 'none', checkDigit: 'none', padding: 'zeros', truncate: false, alphanumeric: false },
+    alphanumeric: { id: 'alphanumeric', name: 'Harf ve rakam (serbest uzunluk)', length: 0, prefix: 'none', checkDigit: 'none', padding: 'none', truncate: false, alphanumeric: true }
+};
+export const DEFAULT_BARCODE_PROFILE_ID = 'standard';
+
+export const PREFIX_RULES = { libraryPlus1000: 'Kütüphane kodu + 1000', libraryCode: 'Kütüphane kodu', none: 'Önek yok' };
+export const CHECK_DIGIT_ALGORITHMS = { none: 'Yok', mod10: 'Mod 10 (EAN)', mod11: 'Mod 11 (sağdan 2–7 ağırlıkları, döngülü)', isbn10: 'Mod 11 (ISBN-10, soldan 10…2 ağırlıkları)' };
+export const PADDING_RULES = { prefix: 'Önek + sıfırla tamamla', zeros: 'Baştan sıfırla tamamla', none: 'Tamamlama' };
+
+// Kütüphaneye atanmış profili döndürür; atanmamışsa standart profil kullanılır
+export const getBarcodeProfile = (libraryCode, profiles = BARCODE_PROFILES, libraryProfiles = {}) =>
+    profiles[libraryProfiles[libraryCode]] || BARCODE_PROFILES[DEFAULT_BARCODE_PROFILE_ID];
+
+const derivePrefix = (profile, libraryCode) => {
+    if (profile.prefix === 'libraryPlus1000') return getLibraryPrefix(libraryCode);
+    if (profile.prefix === 'libraryCode') return String(libraryCode);
+    return '';
+};
+
+// Gövde için kontrol hanesini hesaplar. Mod 10: EAN ağırlıkları, sağdan 3, 1 (gövde uzunluğu tek de olsa
+// doğru sonuç verir); Mod 11: sağdan 2–7 ağırlıkları döngülü olarak; ISBN-10: sağdan 2, 3, 4… artan ağırlıklar
+// (9 haneli gövdede soldan 10…2). İki Mod 11 türünde de 10 sonucu 'X' ile gösterilir.
+const MOD11_WEIGHTS = { mod11: (i) => (i % 6) + 2, isbn10: (i) => i + 2 };
+
+export const computeCheckDigit = (body, algorithm) => {
+    const digits = String(body).split('').map(Number);
+    if (digits.some(Number.isNaN)) return null;
+    if (algorithm === 'mod10') {
+        const sum = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+        return String((10 - (sum % 10)) % 10);
+    }
+    if (MOD11_WEIGHTS[algorithm]) {
+        const weight = MOD11_WEIGHTS[algorithm];
+        const sum = digits.reverse().reduce((acc, d, i) => acc + d * weight(i), 0);
+        const check = (11 - (sum % 11)) % 11;
+        return check === 10 ? 'X' : String(check);
+    }
+    return null;
+};
+
+/**
+ * Ham girişi profile göre normalize eder.
+ * allowPadding false ise kısa girişler tamamlanmaz (farklı kütüphane tespitinde kullanılır).
+ * Kontrol hanesi tanımlı profillerde uzunluktan bir fazla hane, son hanesi doğrulanarak kabul edilir;
+ * checkDigitValid doğrulama yapılmadıysa null'dur.
+ * Dönen nesne: { cleaned, barcode, prefix, wasAutoCompleted, checkDigitValid, checkDigit, expectedCheckDigit, isStructureValid }
+ */
+export const normalizeBarcode = (raw, profile, libraryCode, { allowPadding = true } = {}) => {
+    const upper = String(raw ?? '').trim().toUpperCase();
+    const digitsOnly = upper.replace(/[^0-9]/g, '');
+    // Mod 11 kontrol hanesi 'X' olabilir: gövde tamsa sondaki X kontrol hanesi olarak korunur
+    const hasCheckX = Boolean(MOD11_WEIGHTS[profile.checkDigit]) && digitsOnly.length === profile.length && /X[^0-9A-Z]*$/.test(upper);
+    const cleaned = profile.alphanumeric ? upper.replace(/[^0-9A-Z]/g, '') : digitsOnly + (hasCheckX ? 'X' : '');
+    const prefix = derivePrefix(profile, libraryCode);
+    let barcode = cleaned;
+    let wasAutoCompleted = false;
+    let checkDigitValid = null;
+    let checkDigit = null;
+    let expectedCheckDigit = null;
+
+    if (profile.length > 0 && cleaned.length > profile.length) {
+        const hasCheckDigit = profile.checkDigit !== 'none';
+        const fullLength = profile.length + (hasCheckDigit ? 1 : 0);
+        const withCheckDigit = cleaned.length > fullLength && profile.truncate ? cleaned.slice(0, fullLength) : cleaned;
+        if (hasCheckDigit && withCheckDigit.length === fullLength) {
+            barcode = withCheckDigit.slice(0, profile.length);
+            checkDigit = withCheckDigit.slice(-1);
+            expectedCheckDigit = computeCheckDigit(barcode, profile.checkDigit);
+            checkDigitValid = expectedCheckDigit === checkDigit;
+        } else {
+            barcode = withCheckDigit;
+        }
+    }
+    if (allowPadding && profile.length > 0 && barcode.length > 0 && barcode.length < profile.length && profile.padding !== 'none') {
+        wasAutoCompleted = true;
+        barcode = profile.padding === 'prefix' ? prefix + barcode.padStart(profile.length - prefix.length, '0') : barcode.padStart(profile.length, '0');
+    }
+
+    const lengthValid = profile.length > 0 ? barcode.length === profile.length : barcode.length > 0;
+    const isStructureValid = lengthValid && barcode.startsWith(prefix) && checkDigitValid !== false;
+    return { cleaned, barcode, prefix, wasAutoCompleted, checkDigitValid, checkDigit, expectedCheckDigit, isStructureValid };
+};
+
+// Koha kaydına göre materyal uyarılarını kütüphanenin kurallarıyla hesaplar. previousCallNumber verilmişse
+// yer numarası bir önceki okutulan materyalinkiyle karşılaştırılır (raf sırası kontrolü).
+const getItemWarnings = (itemData, selectedLocations, previousCallNumber, rules) => {
+    const warnings = rules
+        .filter(rule => rule.enabled !== false && matchesRule(rule, itemData, selectedLocations))
+        .map(({ id, text, message, color, sound, severity }) => ({ id, text, message, color, sound, severity }));
+    const callNumber = itemData['yer_numarasi'];
+    if (previousCallNumber && callNumber && compareCallNumbers(callNumber, previousCallNumber) < 0) {
+        warnings.push({ ...WARNING_DEFINITIONS.misshelved, message: `Raf Sırası Hatalı (${callNumber} → önceki: ${previousCallNumber})` });
+    }
+    return warnings;
+};
+
+// Barkodun başka bir kütüphanenin yapısına uyup uymadığını arar. Öneki olmayan
+// profiller kütüphaneyi ayırt edemeyeceği için aramaya katılmaz.
+const findOwnerLibrary = (raw, selectedLibrary, libraries, profiles, libraryProfiles) => {
+    for (const [code, name] of libraries) {
+        if (code === selectedLibrary) continue;
+        const profile = getBarcodeProfile(code, profiles, libraryProfiles);
+        const { prefix, isStructureValid } = normalizeBarcode(raw, profile, code, { allowPadding: false });
+        if (prefix && isStructureValid) return name;
+    }
+    return null;
+};
+
+/**
+ * Tek bir barkodu mevcut oturum bağlamına göre doğrular.
+ *
+ * context: { selectedLibrary, selectedLocations, kohaDataMap, libraries, processedBarcodes, profiles, libraryProfiles, libraryWarningRules, previousCallNumber }
+ *   - selectedLocations: sayımın lokasyon kodları (boşsa lokasyon kontrolü yapılmaz)
+ *   - libraries: [kod, isim] çiftleri veya Map (farklı kütüphane tespiti için)
+ *   - processedBarcodes: daha önce okutulan normalize barkodların Set'i (değiştirilmez)
+ *   - profiles: { [id]: profil } (varsayılan: BARCODE_PROFILES), libraryProfiles: { [kütüphane kodu]: profil id }
+ *   - libraryWarningRules: { [kütüphane kodu]: kural listesi } (atanmamış kütüphanelerde DEFAULT_WARNING_RULES)
+ *   - previousCallNumber: bir önceki okutulan materyalin yer numarası (raf sırası kontrolü kapalıysa boş)
+ *
+ * Dönen nesne:
+ *   - outcome: 'ignored' | 'isbn' | 'error' | 'success'
+ *   - barcode: kayda yazılacak barkod
+ *   - normalizedBarcode: tekrar kontrolünde kullanılan anahtar
+ *   - register: normalizedBarcode işlenenler kümesine eklenmeli mi
+ *   - isValid, warnings, data, title
+ */
+export const validateBarcode = (raw, context) => {
+    const { selectedLibrary, selectedLocations, kohaDataMap, libraries = [], processedBarcodes, profiles = BARCODE_PROFILES, libraryProfiles = {}, libraryWarningRules = {}, previousCallNumber } = context;
+    const rawBarcode = String(raw ?? '').trim();
+    if (!rawBarcode || !selectedLibrary) return { outcome: 'ignored' };
+
+    if (isIsbn(rawBarcode)) {
+        const warnings = [WARNING_DEFINITIONS.isbnDetected];
+        return { outcome: 'isbn', barcode: rawBarcode, normalizedBarcode: rawBarcode, register: false, isValid: false, warnings, data: null, title: 'ISBN Algılandı' };
+    }
+
+    const profile = getBarcodeProfile(selectedLibrary, profiles, libraryProfiles);
+    const { cleaned: originalBarcode, barcode: normalizedBarcode, wasAutoCompleted, checkDigitValid, checkDigit, expectedCheckDigit, isStructureValid } = normalizeBarcode(rawBarcode, profile, selectedLibrary);
+    if (!normalizedBarcode) return { outcome: 'ignored' };
+
+    // Kontrol hanesi tutmuyorsa barkod ilk hanelerine göre bir materyale sayılmaz; kayda okunan haliyle
+    // yazılır ve işlenenler kümesine eklenmez, böylece doğru okutma tekrar olarak işaretlenmez.
+    if (checkDigitValid === false) {
+        const warnings = [{ ...WARNING_DEFINITIONS.checkDigitMismatch, message: `${WARNING_DEFINITIONS.checkDigitMismatch.message} (Okunan: ${checkDigit}, beklenen: ${expectedCheckDigit})` }];
+        return { outcome: 'error', barcode: originalBarcode, normalizedBarcode, register: false, isValid: false, warnings, data: null, title: 'Hatalı Kontrol Hanesi' };
+    }
+
+    const itemData = kohaDataMap.get(normalizedBarcode);
+
+    if (processedBarcodes && processedBarcodes.has(normalizedBarcode)) {
+        const warnings = [WARNING_DEFINITIONS.duplicate];
+        return { outcome: 'error', barcode: normalizedBarcode, normalizedBarcode, register: false, isValid: false, warnings, data: itemData, title: 'Tekrarlı Barkod Uyarısı' };
+    }
+
+    if (!isStructureValid) {
+        const ownerName = findOwnerLibrary(rawBarcode, selectedLibrary, libraries, profiles, libraryProfiles);
+        const finalWarning = ownerName
+            ? { ...WARNING_DEFINITIONS.wrongLibrary, message: `Farklı Kütüphane (${ownerName})`, libraryName: ownerName }
+            : WARNING_DEFINITIONS.invalidStructure;
+        return { outcome: 'error', barcode: originalBarcode, normalizedBarcode, register: true, isValid: false, warnings: [finalWarning], data: itemData, title: 'Hatalı Barkod' };
+    }
+
+    const warnings = itemData
+        ? getItemWarnings(itemData, selectedLocations, previousCallNumber, getWarningRules(selectedLibrary, libraryWarningRules))
+        : [wasAutoCompleted ? WARNING_DEFINITIONS.autoCompletedNotFound : WARNING_DEFINITIONS.deleted];
+
+    return {
+        outcome: warnings.length > 0 ? 'error' : 'success',
+        barcode: normalizedBarcode,
+        normalizedBarcode,
+        register: true,
+        isValid: warnings.length === 0,
+        warnings,
+        data: itemData,
+        title: 'Uyarılar'
+    };
+};
@@ -0,0 +1,75 @@
+// src/callNumber.js
+
+// Yer numarası (Dewey/LC) karşılaştırma ve raf sırası kontrolü.
+// Harfli bölümler Türkçe alfabe sırasıyla (Ç, Ğ, İ, Ö, Ş, Ü dahil), sayılar sayısal olarak karşılaştırılır.
+// Noktadan sonra gelen rakamlar (813.54, QA76.73) ve noktayla başlayan Cutter numaraları (.J38)
+// ondalık kesir gibi sıralanır: J38 < J4.
+
+const collator = new Intl.Collator('tr', { sensitivity: 'base' });
+
+// Yer numarasını { type: 'num', int, frac } ve { type: 'alpha', text } parçalarına ayırır
+export const parseCallNumber = (callNumber) => {
+    const text = String(callNumber ?? '').trim().toLocaleUpperCase('tr');
+    const tokens = [];
+    const pattern = /(\.)?(\d+)(?:\.(\d+))?|(\.)?([A-ZÇĞİÖŞÜÂÎÛ]+)(\d+)?/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[2] !== undefined) {
+            // Noktayla başlayan rakam dizisi tamamen kesirdir
+            if (match[1]) tokens.push({ type: 'num', int: 0, frac: match[2] });
+            else tokens.push({ type: 'num', int: parseInt(match[2], 10), frac: match[3] || '' });
+        } else {
+            tokens.push({ type: 'alpha', text: match[5] });
+            // Cutter numarası (.J38) kesir, sınıf numarası (QA76) tamsayı olarak değerlendirilir
+            if (match[6]) tokens.push(match[4] ? { type: 'num', int: 0, frac: match[6] } : { type: 'num', int: parseInt(match[6], 10), frac: '' });
+        }
+    }
+    return tokens;
+};
+
+const compareTokens = (a, b) => {
+    if (a.type !== b.type) return a.type === 'num' ? -1 : 1; // Rakamlar harflerden önce gelir
+    if (a.type === 'alpha') return collator.compare(a.text, b.text);
+    if (a.int !== b.int) return a.int < b.int ? -1 : 1;
+    const length = Math.max(a.frac.length, b.frac.length);
+    const fracA = a.frac.padEnd(length, '0');
+    const fracB = b.frac.padEnd(length, '0');
+    return fracA < fracB ? -1 : fracA > fracB ? 1 : 0;
+};
+
+// parseCallNumber çıktılarını karşılaştırır; çok sayıda kaydı karşılaştırırken her yer numarası bir kez ayrıştırılır
+export const compareParsedCallNumbers = (tokensA, tokensB) => {
+    for (let i = 0; i < Math.min(tokensA.length, tokensB.length); i++) {
+        const result = compareTokens(tokensA[i], tokensB[i]);
+        if (result !== 0) return result;
+    }
+    return Math.sign(tokensA.length - tokensB.length);
+};
+
+// İki yer numarasını karşılaştırır (sort için -1 / 0 / 1). Kısa olan ("hiçbir şey bir şeyden önce") önce gelir.
+export const compareCallNumbers = (a, b) => compareParsedCallNumbers(parseCallNumber(a), parseCallNumber(b));
+
+/**
+ * Okutma sırasındaki (eskiden yeniye) kayıtlarda sıra dışı dizileri bulur.
+ * entries: [{ callNumber, ... }] — yer numarası olmayan kayıtlar atlanır.
+ * Bir düşüşle başlayan dizi, düşüşten önceki kayıttan (anchor) küçük kaldığı sürece devam eder.
+ * Dönen değer: [{ anchor, items: [...] }]
+ */
+export const findOutOfOrderRuns = (entries) => {
+    const runs = [];
+    let previous = null;
+    let currentRun = null;
+    for (const entry of entries) {
+        if (!entry.callNumber) continue;
+        if (currentRun && compareCallNumbers(entry.callNumber, currentRun.anchor.callNumber) < 0) {
+            currentRun.items.push(entry);
+        } else if (!currentRun && previous && compareCallNumbers(entry.callNumber, previous.callNumber) < 0) {
+            currentRun = { anchor: previous, items: [entry] };
+            runs.push(currentRun);
+        } else {
+            currentRun = null;
+        }
+        if (!currentRun) previous = entry;
+    }
+    return runs;
+};
@@ -0,0 +1,60 @@
+// src/cameraSettings.js
+
+// Kamera tercihleri ve MediaStreamTrack denetimleri (fener, yakınlaştırma, odak). Seçilen kamera ile her
+// kameranın fener ve yakınlaştırma ayarı bu cihazın tarayıcısında saklanır; kamera açıldığında yeniden uygulanır.
+// Denetimler yalnızca tarayıcının ve kameranın desteklediği durumlarda gösterilir.
+
+const STORAGE_KEY = 'cameraPreferences';
+
+// { cameraId: seçilen kamera (boşsa arka kamera), cameras: { [deviceId]: { torch, zoom } } }
+export const loadCameraPreferences = () => {
+    try {
+        return { cameraId: '', cameras: {}, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+        return { cameraId: '', cameras: {} };
+    }
+};
+
+const saveCameraPreferences = (preferences) => localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+
+export const saveSelectedCamera = (cameraId) => saveCameraPreferences({ ...loadCameraPreferences(), cameraId });
+
+export const saveCameraSetting = (deviceId, setting) => {
+    if (!deviceId) return;
+    const preferences = loadCameraPreferences();
+    saveCameraPreferences({ ...preferences, cameras: { ...preferences.cameras, [deviceId]: { ...preferences.cameras[deviceId], ...setting } } });
+};
+
+// html5-qrcode start() için kamera: kamera kimliği veya arka kamera isteği
+export const getCameraSource = (cameraId) => cameraId || { facingMode: "environment" };
+
+const supportsPointsOfInterest = () => Boolean(navigator.mediaDevices?.getSupportedConstraints?.().pointsOfInterest);
+
+// Kameranın desteklediği denetimler: { torch, zoom: { min, max, step } | null, focus }
+export const getTrackControls = (capabilities = {}) => ({
+    torch: capabilities.torch === true || (Array.isArray(capabilities.torch) && capabilities.torch.includes(true)),
+    zoom: capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1 } : null,
+    focus: supportsPointsOfInterest() || (capabilities.focusMode || []).some(mode => mode === 'single-shot' || mode === 'continuous')
+});
+
+// Kayıtlı tercihlerden kameraya uygulanabilecek olanlar
+export const getSavedConstraints = (deviceId, controls) => {
+    const saved = loadCameraPreferences().cameras[deviceId] || {};
+    const constraints = {};
+    if (controls.torch && saved.torch) constraints.torch = true;
+    if (controls.zoom && typeof saved.zoom === 'number') constraints.zoom = Math.min(controls.zoom.max, Math.max(controls.zoom.min, saved.zoom));
+    return constraints;
+};
+
+/**
+ * Dokunulan noktaya odaklanma kısıtları. point: görüntüye oranla { x, y } (0–1).
+ * pointsOfInterest desteklenmiyorsa yalnızca odak yeniden tetiklenir; hiçbiri yoksa null.
+ */
+export const getFocusConstraints = (capabilities = {}, point) => {
+    const constraint = {};
+    if (supportsPointsOfInterest()) constraint.pointsOfInterest = [point];
+    const modes = capabilities.focusMode || [];
+    if (modes.includes('single-shot')) constraint.focusMode = 'single-shot';
+    else if (modes.includes('continuous')) constraint.focusMode = 'continuous';
+    return Object.keys(constraint).length > 0 ? { advanced: [constraint] } : null;
+};
@@ -0,0 +1,94 @@
+// src/collectorImport.js
+
+// Çevrimdışı veri toplayıcı (Zebra/Honeywell el terminali, Koha envanter aracı) dökümlerini okuyan yardımcılar.
+// Bu cihazlar okutmaları rafta biriktirip "barkod,tarih,lokasyon" gibi satırlarla dışa aktarır. Sütun düzeni
+// cihaza göre değiştiği için kullanıcı tarafından ayarlanır; okutmaların cihazdaki asıl zamanı korunur.
+
+export const COLLECTOR_COLUMNS = [
+    { id: 'barcode', name: 'Barkod', required: true },
+    { id: 'date', name: 'Tarih (veya tarih ve saat)' },
+    { id: 'time', name: 'Saat' },
+    { id: 'location', name: 'Lokasyon kodu' },
+    { id: 'segment', name: 'Raf / bölüm (segment)' },
+];
+
+export const DATE_ORDERS = { dmy: 'Gün.Ay.Yıl', mdy: 'Ay/Gün/Yıl', ymd: 'Yıl-Ay-Gün' };
+
+// columns: her alan için 1'den başlayan sütun numarası (0: dosyada yok)
+export const DEFAULT_COLLECTOR_LAYOUT = { delimiter: ',', hasHeader: false, dateOrder: 'dmy', columns: { barcode: 1, date: 2, time: 0, location: 3, segment: 0 } };
+
+// 15.03.2025 14:05[:09], 2025-03-15 14:05, 03/15/25 ...
+const DATE_PATTERN = /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/;
+// Toplayıcıların sık kullandığı bitişik biçim: 20250315[140509]
+const COMPACT_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:[ T]?(\d{2})(\d{2})(\d{2})?)?$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/;
+const ZONED_PATTERN = /^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/;
+
+const dateParts = (date) => ({ year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds() });
+
+const parseDateText = (text, dateOrder) => {
+    const compact = text.match(COMPACT_PATTERN);
+    if (compact) {
+        const [, year, month, day, hour, minute, second] = compact;
+        return { year, month, day, hour, minute, second };
+    }
+    const match = text.match(DATE_PATTERN);
+    if (!match) return null;
+    const [, first, second, third, hour, minute, seconds] = match;
+    // Dört haneli ilk parça her zaman yıldır
+    const order = first.length === 4 ? 'ymd' : dateOrder;
+    const date = order === 'ymd' ? { year: first, month: second, day: third }
+        : order === 'mdy' ? { year: third, month: first, day: second }
+        : { year: third, month: second, day: first };
+    return { ...date, hour, minute, second: seconds };
+};
+
+/**
+ * Toplayıcının tarih (ve ayrı sütundaysa saat) değerini ISO zamana çevirir. Saat dilimi belirtilmemiş
+ * zamanlar bu cihazın yerel saati kabul edilir. Excel hücrelerinden gelen Date nesneleri de kabul edilir.
+ * Okunamayan veya geçersiz tarihlerde null döner.
+ */
+export const parseCollectorTimestamp = (dateValue, timeValue, dateOrder = DEFAULT_COLLECTOR_LAYOUT.dateOrder) => {
+    const text = dateValue instanceof Date ? '' : String(dateValue ?? '').trim();
+    if (ZONED_PATTERN.test(text)) {
+        const date = new Date(text);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    const parts = dateValue instanceof Date ? (Number.isNaN(dateValue.getTime()) ? null : dateParts(dateValue)) : parseDateText(text, dateOrder);
+    if (!parts) return null;
+    if (timeValue instanceof Date && !Number.isNaN(timeValue.getTime())) {
+        Object.assign(parts, { hour: timeValue.getHours(), minute: timeValue.getMinutes(), second: timeValue.getSeconds() });
+    } else if (timeValue != null && String(timeValue).trim() !== '') {
+        const time = String(timeValue).trim().match(TIME_PATTERN);
+        if (time) Object.assign(parts, { hour: time[1], minute: time[2], second: time[3] });
+    }
+    const year = Number(parts.year) < 100 ? 2000 + Number(parts.year) : Number(parts.year);
+    const month = Number(parts.month);
+    const day = Number(parts.day);
+    const date = new Date(year, month - 1, day, Number(parts.hour || 0), Number(parts.minute || 0), Number(parts.second || 0));
+    // 31.02 gibi taşan tarihler reddedilir
+    if (Number.isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return date.toISOString();
+};
+
+const cellText = (value) => (value == null ? '' : String(value).trim());
+
+/**
+ * Dökümün satırlarını (sütun dizileri) okutma kayıtlarına çevirir; barkodu boş satırlar atlanır.
+ * Dönen: { records: [{ barcode, timestamp, location, segment }], undatedCount }
+ * Zamanı okunamayan kayıtlarda timestamp null'dır (içe aktarma zamanı kullanılır).
+ */
+export const parseCollectorRows = (rows, layout) => {
+    const { columns, hasHeader, dateOrder } = layout;
+    const cell = (row, field) => (columns[field] > 0 ? row[columns[field] - 1] : undefined);
+    const records = [];
+    let undatedCount = 0;
+    (hasHeader ? rows.slice(1) : rows).forEach(row => {
+        const barcode = cellText(cell(row, 'barcode'));
+        if (!barcode) return;
+        const timestamp = columns.date > 0 ? parseCollectorTimestamp(cell(row, 'date'), cell(row, 'time'), dateOrder) : null;
+        if (!timestamp) undatedCount += 1;
+        records.push({ barcode, timestamp, location: cellText(cell(row, 'location')), segment: cellText(cell(row, 'segment')) });
+    });
+    return { records, undatedCount };
+};
@@ -0,0 +1,65 @@
+// src/columnMapping.js
+
+// Uygulamanın kullandığı Koha sütunları ve farklı başlıklı dosyaları bu sütunlara eşleyen yardımcılar.
+// Koha'nın standart materyal raporları veya başka kütüphane sistemleri aynı bilgileri farklı başlıklarla
+// (barcode, itemcallnumber, withdrawn, notforloan, onloan...) verebilir; dosya yüklenirken sütunlar
+// yeniden adlandırılır, böylece kurallar her zaman aynı alan adlarıyla çalışır.
+
+// Boş değerler "0" (koleksiyonda / ödünç verilebilir) kabul edilir
+const emptyAsZero = (value) => (value == null || String(value).trim() === '' ? '0' : value);
+// Koha'nın onloan sütunu iade tarihini tutar: tarih varsa materyal ödünçtedir
+const loanFlag = (value) => {
+    const text = value == null ? '' : String(value).trim();
+    if (text === '' || text === '0') return '0';
+    return '1';
+};
+
+export const KOHA_FIELDS = [
+    { id: 'barkod', name: 'Barkod', required: true, aliases: ['barcode', 'itembarcode', 'barkodno', 'barcodeno'] },
+    { id: 'eser_adi', name: 'Eser Adı', aliases: ['title', 'eser', 'baslik', 'esertitle'] },
+    { id: 'yer_numarasi', name: 'Yer Numarası', aliases: ['itemcallnumber', 'callnumber', 'yerno', 'callno'] },
+    { id: 'materyal_statusu_kodu', name: 'Materyal Statüsü', aliases: ['withdrawn', 'materyalstatusu'], normalize: emptyAsZero },
+    { id: 'odunc_verilebilirlik_kodu', name: 'Ödünç Verilebilirlik', aliases: ['notforloan', 'oduncverilebilirlik'], normalize: emptyAsZero },
+    { id: 'materyalin_yeri_kodu', name: 'Materyalin Yeri', aliases: ['location', 'shelvinglocation', 'materyalinyeri', 'permanentlocation'] },
+    { id: 'odunc_durumu', name: 'Ödünç Durumu', aliases: ['onloan', 'datedue', 'oduncte'], normalize: loanFlag },
+];
+
+// "items.itemcallnumber", "Item Call Number" ve "itemcallnumber" aynı başlık sayılır
+const normalizeHeader = (header) => String(header)
+    .toLocaleLowerCase('tr')
+    .replace(/^[a-z_]+\./, '')
+    .replace(/ı/g, 'i').replace(/ş/g, 's').replace(/ğ/g, 'g').replace(/ü/g, 'u').replace(/ö/g, 'o').replace(/ç/g, 'c')
+    .replace(/[^a-z0-9]/g, '');
+
+// Dosyadaki başlıklara göre her alan için bir sütun önerir: { alan: sütun | '' }
+export const suggestColumnMapping = (fields) => {
+    const used = new Set();
+    const mapping = {};
+    KOHA_FIELDS.forEach(field => {
+        const candidates = [field.id, ...field.aliases].map(normalizeHeader);
+        const exact = fields.find(column => column === field.id);
+        const match = exact || fields.find(column => !used.has(column) && candidates.includes(normalizeHeader(column)));
+        mapping[field.id] = match || '';
+        if (match) used.add(match);
+    });
+    return mapping;
+};
+
+// Kayıtlı eşlemelerden, tüm sütunları bu dosyada bulunan ilki
+export const findMatchingPreset = (presets, fields) => Object.entries(presets)
+    .find(([, mapping]) => Object.values(mapping).some(Boolean) && Object.values(mapping).every(column => !column || fields.includes(column))) || null;
+
+// Satırlardaki kaynak sütunları uygulamanın alan adlarıyla değiştirir; eşlenmeyen sütunlar olduğu gibi kalır.
+// Durum alanları (normalize tanımlı olanlar) dosyada olmasa da her satıra yazılır ve boşsa "0" olur; aksi halde
+// yalnızca barkod, başlık ve yer numarası içeren bir dışa aktarımda her materyal düşüm/ödünç uyarısı alırdı.
+export const applyColumnMapping = (rows, mapping) => {
+    const renames = KOHA_FIELDS.filter(field => mapping?.[field.id] && mapping[field.id] !== field.id);
+    const statusFields = KOHA_FIELDS.filter(field => field.normalize);
+    return rows.map(row => {
+        const mapped = { ...row };
+        renames.forEach(field => { delete mapped[mapping[field.id]]; });
+        renames.forEach(field => { mapped[field.id] = row[mapping[field.id]]; });
+        statusFields.forEach(field => { mapped[field.id] = field.normalize(mapped[field.id]); });
+        return mapped;
+    });
+};
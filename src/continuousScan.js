@@ -0,0 +1,66 @@
+// src/continuousScan.js
+
+// Sürekli (raf) kamera taraması için yardımcılar. Görüntünün geniş bir bölgesi birbiriyle örtüşen
+// yatay ve dikey şeritlere bölünür ve her şerit ayrı çözülür; böylece rafta yan yana veya üst üste
+// duran birden fazla barkod aynı karede okunabilir.
+
+import { Html5QrcodeSupportedFormats } from 'html5-qrcode';
+
+// Kütüphane barkodlarında kullanılan çizgisel biçimler; QR ve 2B biçimler aranmadığı için çözme hızlanır
+export const LINEAR_BARCODE_FORMATS = [
+    Html5QrcodeSupportedFormats.CODE_128,
+    Html5QrcodeSupportedFormats.EAN_13,
+    Html5QrcodeSupportedFormats.EAN_8,
+    Html5QrcodeSupportedFormats.ITF
+];
+
+const STRIPS_PER_AXIS = 3;
+
+// Taranan bölge: görüntünün ortasındaki geniş dikdörtgen (html5-qrcode qrbox fonksiyonu olarak da kullanılır)
+export const getScanRegion = (width, height) => ({ width: Math.floor(width * 0.9), height: Math.floor(height * 0.6) });
+
+// Bölgeyi komşusuyla yarı yarıya örtüşen şeritlere böler; şerit sınırına denk gelen barkod komşu şeritte bütün kalır
+const splitIntoStrips = (start, length, count) => {
+    const size = (2 * length) / (count + 1);
+    return Array.from({ length: count }, (_, index) => ({ start: start + (index * size) / 2, size }));
+};
+
+// Görüntü boyutuna göre çözülecek şeritler (piksel cinsinden)
+export const getScanStrips = (width, height) => {
+    const region = getScanRegion(width, height);
+    const left = (width - region.width) / 2;
+    const top = (height - region.height) / 2;
+    return [
+        ...splitIntoStrips(top, region.height, STRIPS_PER_AXIS).map(({ start, size }) => ({ x: left, y: start, width: region.width, height: size })),
+        ...splitIntoStrips(left, region.width, STRIPS_PER_AXIS).map(({ start, size }) => ({ x: start, y: top, width: size, height: region.height }))
+    ];
+};
+
+// Çözülecek görüntünün piksel boyutu (video, resim, canvas veya ImageBitmap)
+export const getSourceSize = (source) => ({
+    width: source.videoWidth || source.naturalWidth || source.width,
+    height: source.videoHeight || source.naturalHeight || source.height
+});
+
+/**
+ * Görüntüyü (videonun o anki karesi veya bir fotoğraf) şerit şerit çözer.
+ * decodeCanvas: canvas'taki barkodun metnini döndüren, barkod yoksa hata fırlatan fonksiyon
+ * Dönen: [{ text, rect }] — rect, işaretçi çizmek için görüntüye oranla konum (0–1)
+ */
+export const decodeInStrips = async (decodeCanvas, source, canvas) => {
+    const { width: sourceWidth, height: sourceHeight } = getSourceSize(source);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    const found = new Map();
+    for (const strip of getScanStrips(sourceWidth, sourceHeight)) {
+        canvas.width = Math.round(strip.width);
+        canvas.height = Math.round(strip.height);
+        context.drawImage(source, strip.x, strip.y, strip.width, strip.height, 0, 0, canvas.width, canvas.height);
+        try {
+            const text = await decodeCanvas(canvas);
+            if (text && !found.has(text)) found.set(text, { x: strip.x / sourceWidth, y: strip.y / sourceHeight, width: strip.width / sourceWidth, height: strip.height / sourceHeight });
+        } catch {
+            // Bu şeritte barkod yok
+        }
+    }
+    return [...found].map(([text, rect]) => ({ text, rect }));
+};
@@ -0,0 +1,57 @@
+// src/csvImport.js
+
+// Koha CSV dosyalarının karakter kodlamasını ve ayırıcısını tespit eden yardımcılar.
+// Excel'de açılıp yeniden kaydedilen dosyalar Türkçe Windows'ta Windows-1254 (ISO-8859-9)
+// kodlamasıyla ve noktalı virgülle ayrılmış olarak gelebilir.
+
+import Papa from 'papaparse';
+
+export const CSV_ENCODINGS = [
+    { id: 'utf-8', name: 'UTF-8' },
+    { id: 'windows-1254', name: 'Türkçe (Windows-1254 / ISO-8859-9)' },
+    { id: 'windows-1252', name: 'Batı Avrupa (Windows-1252)' },
+    { id: 'utf-16le', name: 'UTF-16 LE' },
+    { id: 'utf-16be', name: 'UTF-16 BE' },
+];
+
+export const CSV_DELIMITERS = [
+    { id: ',', name: 'Virgül (,)' },
+    { id: ';', name: 'Noktalı virgül (;)' },
+    { id: '\t', name: 'Sekme (Tab)' },
+    { id: '|', name: 'Dikey çizgi (|)' },
+];
+
+const DELIMITER_SAMPLE_ROWS = 20;
+
+// Önce BOM'a bakılır; BOM yoksa dosya geçerli UTF-8 ise UTF-8, değilse Windows-1254 kabul edilir
+export const detectEncoding = (bytes) => {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return 'utf-8';
+    } catch {
+        return 'windows-1254';
+    }
+};
+
+export const decodeCsv = (bytes, encoding) => new TextDecoder(encoding).decode(bytes);
+
+// Her aday ayırıcıyla ilk satırlar ayrıştırılır; başlığında 'barkod' olan, birden fazla sütun
+// üreten ve satırları başlıkla aynı sayıda sütuna bölen ayırıcı seçilir.
+export const detectDelimiter = (text) => {
+    let best = { id: CSV_DELIMITERS[0].id, score: -1 };
+    CSV_DELIMITERS.forEach(({ id }) => {
+        const { data } = Papa.parse(text, { delimiter: id, preview: DELIMITER_SAMPLE_ROWS + 1, skipEmptyLines: true });
+        const [header = [], ...rows] = data;
+        if (header.length < 2) return;
+        const consistentRows = rows.filter(row => row.length === header.length).length;
+        const score = (header.includes('barkod') ? 1000 : 0) + (rows.length > 0 ? (consistentRows / rows.length) * 100 : 0) + Math.min(header.length, 99) / 100;
+        if (score > best.score) best = { id, score };
+    });
+    return best.id;
+};
+
+export const getEncodingName = (id) => CSV_ENCODINGS.find(encoding => encoding.id === id)?.name || id;
+export const getDelimiterName = (id) => CSV_DELIMITERS.find(delimiter => delimiter.id === id)?.name || id;
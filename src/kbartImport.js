@@ -0,0 +1,23 @@
+// src/kbartImport.js
+
+// KBART (NISO RP-9) başlık listelerini Koha sayım listesi olarak yükleyen yardımcılar.
+// KBART dosyaları başlık satırlı ve sekmeyle ayrılmıştır; alanlar tırnak içine alınmaz, bu yüzden
+// başlıklardaki " karakteri metnin parçası sayılır. Dosya CSV önizlemesinden geçer ve sütunlar
+// aynı eşleme ekranında seçilir; yalnızca varsayılan eşleme KBART sütunlarına göre önerilir.
+// KBART materyal değil başlık düzeyindedir: barkod sütunu, kütüphanenin okuttuğu kimliği taşıyan
+// sütuna (varsayılan: title_id) eşlenmelidir. Bu sütunu boş olan satırlar listeye alınmaz.
+
+const KBART_REQUIRED_COLUMNS = ['publication_title', 'title_id'];
+
+export const KBART_PARSE_OPTIONS = { delimiter: '\t', quoteChar: '\u0000' };
+
+export const KBART_COLUMN_MAPPING = { barkod: 'title_id', eser_adi: 'publication_title' };
+
+// Dosyanın ilk satırı KBART başlığı mı (satır sonu dikkate alınmaz)
+export const isKbartText = (text) => {
+    const lineEnd = text.search(/\r?\n/);
+    const header = (lineEnd === -1 ? text : text.slice(0, lineEnd)).split('\t').map(column => column.trim());
+    return KBART_REQUIRED_COLUMNS.every(column => header.includes(column));
+};
+
+export const dropRowsWithoutBarcode = (rows) => rows.filter(row => String(row.barkod ?? '').trim() !== '');
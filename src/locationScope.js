@@ -0,0 +1,28 @@
+// src/locationScope.js
+
+// Sayımın lokasyon kapsamı. Bir oturumda birden fazla lokasyon seçilebilir (aynı salonda duran
+// farklı bölümler gibi); hiç seçilmemişse tüm lokasyonlar kapsamdadır.
+
+export const getLocationCode = (row) => String(row?.['materyalin_yeri_kodu'] || '');
+
+export const isInLocationScope = (row, selectedLocations) => !selectedLocations || selectedLocations.length === 0 || selectedLocations.includes(getLocationCode(row));
+
+// Eski oturumlarda tek lokasyon 'location' alanında metin olarak saklanıyordu
+export const normalizeLocations = ({ locations, location } = {}) => (Array.isArray(locations) ? locations : (location ? [location] : []));
+
+// Sayımda rafta bulunması beklenen materyal: koleksiyonda ve ödünçte değil
+export const isExpectedOnShelf = (row) => String(row['materyal_statusu_kodu']) === '0' && String(row['odunc_durumu']) === '0';
+
+/**
+ * Okutulmamış, rafta beklenen materyalleri sayımın kapsamına göre ayırır.
+ * Dönen: { missing: kapsamdaki eksikler, outOfScope: seçilen lokasyonlar dışındaki okutulmamış materyaller }
+ */
+export const splitMissingItems = (kohaData, scannedBarcodes, selectedLocations) => {
+    const missing = [];
+    const outOfScope = [];
+    kohaData.forEach(row => {
+        if (!isExpectedOnShelf(row) || scannedBarcodes.has(String(row.barkod))) return;
+        (isInLocationScope(row, selectedLocations) ? missing : outOfScope).push(row);
+    });
+    return { missing, outOfScope };
+};
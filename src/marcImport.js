@@ -0,0 +1,106 @@
+// src/marcImport.js
+
+// Koha'nın MARC dışa aktarımlarından (ISO 2709 .mrc veya MARCXML) sayım listesi üreten yardımcılar.
+// Her 952 (materyal) alanı bir satıra dönüşür; satırlar mir_envanter CSV'sindeki sütun adlarını
+// kullandığı için yükleme sonrası akış (kohaData / kohaDataMap) değişmez.
+// Worker'da DOMParser bulunmadığı için MARCXML basit bir düzenli ifade ayrıştırıcısıyla okunur.
+// KBART başlık listeleri CSV akışıyla yüklenir (bkz. kbartImport.js).
+
+export const MARC_FILE_EXTENSIONS = ['mrc', 'marc', 'iso', 'xml', 'marcxml'];
+
+const RECORD_TERMINATOR = 0x1D;
+const FIELD_TERMINATOR = 0x1E;
+const SUBFIELD_DELIMITER = '\x1F';
+
+// Kayıt: { fields: [{ tag, subfields: [[kod, değer], ...] }] } (kontrol alanları atlanır)
+
+// ISO 2709 kayıtlarını okur. Koha dışa aktarımları UTF-8 olduğu için alanlar UTF-8 olarak çözülür.
+export const parseMarcBinary = (bytes) => {
+    const decoder = new TextDecoder('utf-8');
+    const records = [];
+    let start = 0;
+    while (start < bytes.length) {
+        let end = bytes.indexOf(RECORD_TERMINATOR, start);
+        if (end === -1) end = bytes.length;
+        const record = bytes.subarray(start, end);
+        start = end + 1;
+        if (record.length < 24) continue;
+        const leader = decoder.decode(record.subarray(0, 24));
+        const baseAddress = parseInt(leader.slice(12, 17), 10);
+        if (Number.isNaN(baseAddress)) throw new Error('Geçersiz MARC kaydı (kayıt başı okunamadı).');
+        const directory = decoder.decode(record.subarray(24, baseAddress - 1));
+        const fields = [];
+        for (let i = 0; i + 12 <= directory.length; i += 12) {
+            const tag = directory.slice(i, i + 3);
+            if (tag < '010') continue;
+            const length = parseInt(directory.slice(i + 3, i + 7), 10);
+            const offset = parseInt(directory.slice(i + 7, i + 12), 10);
+            let data = record.subarray(baseAddress + offset, baseAddress + offset + length);
+            if (data[data.length - 1] === FIELD_TERMINATOR) data = data.subarray(0, -1);
+            const subfields = decoder.decode(data).split(SUBFIELD_DELIMITER).slice(1).map(part => [part[0], part.slice(1)]);
+            fields.push({ tag, subfields });
+        }
+        records.push({ fields });
+    }
+    return records;
+};
+
+const decodeXmlEntities = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// MARCXML kayıtlarını okur (marc: gibi ad alanı önekleri desteklenir)
+export const parseMarcXml = (text) => {
+    const records = [];
+    const recordPattern = /<(?:\w+:)?record\b[^>]*>([\s\S]*?)<\/(?:\w+:)?record>/g;
+    const fieldPattern = /<(?:\w+:)?datafield\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?datafield>/g;
+    const subfieldPattern = /<(?:\w+:)?subfield\b[^>]*code="([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?subfield>/g;
+    for (const [, recordBody] of text.matchAll(recordPattern)) {
+        const fields = [];
+        for (const [, attributes, fieldBody] of recordBody.matchAll(fieldPattern)) {
+            const tag = (attributes.match(/tag="([^"]*)"/) || [])[1];
+            if (!tag) continue;
+            const subfields = [...fieldBody.matchAll(subfieldPattern)].map(([, code, value]) => [code, decodeXmlEntities(value)]);
+            fields.push({ tag, subfields });
+        }
+        records.push({ fields });
+    }
+    return records;
+};
+
+const getSubfield = (field, code) => field.subfields.find(([subfieldCode]) => subfieldCode === code)?.[1]?.trim() || '';
+const isSet = (value) => value !== '' && value !== '0';
+
+// 952 alt alanları: $p barkod, $o yer numarası, $c raf yeri, $7 ödünç verilemez, $0 düşüm, $1 kayıp, $q iade tarihi
+export const marcRecordsToRows = (records) => {
+    const rows = [];
+    records.forEach(record => {
+        const titleField = record.fields.find(field => field.tag === '245');
+        const title = titleField ? [getSubfield(titleField, 'a'), getSubfield(titleField, 'b')].filter(Boolean).join(' ').replace(/\s*[/:;=]\s*$/, '') : '';
+        record.fields.filter(field => field.tag === '952').forEach(item => {
+            const barcode = getSubfield(item, 'p');
+            if (!barcode) return;
+            const notForLoan = getSubfield(item, '7');
+            const lost = getSubfield(item, '1');
+            rows.push({
+                barkod: barcode,
+                eser_adi: title,
+                yer_numarasi: getSubfield(item, 'o'),
+                materyalin_yeri_kodu: getSubfield(item, 'c'),
+                // Kayıp materyaller, başka bir ödünç verilemez nedeni yoksa "Kayıp" (3) koduyla gösterilir
+                odunc_verilebilirlik_kodu: isSet(notForLoan) ? notForLoan : (isSet(lost) ? '3' : '0'),
+                materyal_statusu_kodu: isSet(getSubfield(item, '0')) ? '1' : '0',
+                odunc_durumu: getSubfield(item, 'q') ? '1' : '0',
+            });
+        });
+    });
+    return rows;
+};
+
+// Dosyanın MARCXML mi yoksa ISO 2709 mu olduğuna içeriğe bakarak karar verir
+export const parseMarcFile = (bytes) => {
+    const head = new TextDecoder('utf-8').decode(bytes.subarray(0, 512)).trimStart();
+    const records = head.startsWith('<') ? parseMarcXml(new TextDecoder('utf-8').decode(bytes)) : parseMarcBinary(bytes);
+    return marcRecordsToRows(records);
+};
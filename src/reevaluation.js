@@ -0,0 +1,76 @@
+// src/reevaluation.js
+
+// Koha listesi yenilendiğinde (veya kütüphane/lokasyon değiştiğinde) kayıtlı okutmaların uyarılarını
+// yeniden hesaplayan ve iki Koha listesi arasındaki farkları çıkaran yardımcılar.
+
+import { validateBarcode } from './barcodeValidation.js';
+
+// Listeler arasında karşılaştırılan alanlar (materyalin durumunu belirleyenler)
+const COMPARED_FIELDS = ['materyal_statusu_kodu', 'odunc_durumu', 'odunc_verilebilirlik_kodu', 'materyalin_yeri_kodu', 'yer_numarasi'];
+
+/**
+ * Eski ve yeni Koha listesini barkoda göre karşılaştırır.
+ * Dönen: { added: [satır], removed: [satır], changed: [{ barcode, title, fields: [{ field, before, after }] }] }
+ */
+export const diffKohaLists = (oldMap, newMap) => {
+    const added = [];
+    const removed = [];
+    const changed = [];
+    newMap.forEach((row, barcode) => {
+        const previous = oldMap.get(barcode);
+        if (!previous) { added.push(row); return; }
+        const fields = COMPARED_FIELDS
+            .filter(field => String(previous[field] ?? '') !== String(row[field] ?? ''))
+            .map(field => ({ field, before: previous[field] ?? '', after: row[field] ?? '' }));
+        if (fields.length > 0) changed.push({ barcode, title: row['eser_adi'] || '', fields });
+    });
+    oldMap.forEach((row, barcode) => { if (!newMap.has(barcode)) removed.push(row); });
+    return { added, removed, changed };
+};
+
+const warningKey = (warnings) => warnings.map(warning => warning.id).sort().join(',');
+
+/**
+ * Okutmaları okutulma sırasıyla güncel kurallardan tekrar geçirir. Kimlik, zaman ve segment korunur;
+ * yalnızca isValid ve warnings yeniden hesaplanır. Tekrar ve raf sırası kontrolleri de okutma sırasına
+ * göre baştan kurulur.
+ *
+ * scannedItems: en yeni kayıt başta olacak şekilde okutmalar
+ * context: validateBarcode bağlamı (processedBarcodes ve previousCallNumber hariç) ve checkShelfOrder
+ * Dönen: { items: [güncel kayıtlar, aynı sırada], changed: [{ before, after }] }
+ */
+export const reevaluateScans = (scannedItems, { checkShelfOrder, ...context }, onProgress) => {
+    const processedBarcodes = new Set();
+    const updated = new Map();
+    const changed = [];
+    let previousCallNumber = null;
+    const chronological = [...scannedItems].reverse();
+    chronological.forEach((item, index) => {
+        if (onProgress && (index + 1) % 500 === 0) onProgress(index + 1, chronological.length);
+        // Güncel ödünç listesinden eklenen kayıtlar okutma değildir; olduğu gibi bırakılır
+        if (item.source === 'loanList') { processedBarcodes.add(item.barcode); return; }
+        // Veri toplayıcıdan lokasyonuyla gelen kayıtlar içe aktarıldıkları gibi o lokasyona göre denetlenir
+        const result = validateBarcode(item.barcode, { ...context, ...(item.location && { selectedLocations: [item.location] }), processedBarcodes, previousCallNumber: checkShelfOrder ? previousCallNumber : null });
+        if (result.outcome === 'ignored' || result.outcome === 'isbn') return;
+        if (result.register) processedBarcodes.add(result.normalizedBarcode);
+        if (checkShelfOrder && result.data?.['yer_numarasi']) previousCallNumber = result.data['yer_numarasi'];
+        if (warningKey(result.warnings) === warningKey(item.warnings)) return;
+        const next = { ...item, isValid: result.isValid, warnings: result.warnings };
+        updated.set(item.id, next);
+        changed.push({ before: item, after: next });
+    });
+    return { items: scannedItems.map(item => updated.get(item.id) || item), changed };
+};
+
+// İki okutma listesindeki uyarı sayılarının karşılaştırması: [{ id, text, before, after }]
+export const compareWarningCounts = (beforeItems, afterItems) => {
+    const counts = new Map();
+    const count = (items, key) => items.forEach(item => item.warnings.forEach(warning => {
+        const entry = counts.get(warning.id) || { id: warning.id, text: warning.text, before: 0, after: 0 };
+        entry[key] += 1;
+        counts.set(warning.id, entry);
+    }));
+    count(beforeItems, 'before');
+    count(afterItems, 'after');
+    return [...counts.values()].sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before));
+};
@@ -0,0 +1,47 @@
+// src/segments.js
+
+// Raf/bölüm (segment) bazında sayım ilerlemesi. Okutma kayıtları açık segmentin adını 'segment'
+// alanında taşır; segmentin yer numarası aralığı o segmentte okutulan materyallerden çıkarılır.
+
+import { compareParsedCallNumbers, parseCallNumber } from './callNumber.js';
+import { isExpectedOnShelf, isInLocationScope } from './locationScope.js';
+
+/**
+ * Her segment için okutma sayıları, yer numarası aralığı ve bu aralıkta beklenip hiç okutulmamış
+ * materyalleri hesaplar. Beklenen materyaller, eksikler raporundaki gibi koleksiyonda olan ve
+ * ödünçte olmayan (seçildiyse sayımın lokasyonlarındaki) kayıtlardır.
+ *
+ * params: { segmentNames, scannedItems, kohaData, kohaDataMap, selectedLocations }
+ * Dönen: [{ name, scanned, warned, firstCallNumber, lastCallNumber, missing: [Koha satırları] }]
+ */
+export const summarizeSegments = ({ segmentNames, scannedItems, kohaData, kohaDataMap, selectedLocations }) => {
+    const scannedBarcodes = new Set(scannedItems.map(item => item.barcode));
+    const candidates = kohaData
+        .filter(row => isExpectedOnShelf(row) && row['yer_numarasi'] && !scannedBarcodes.has(String(row.barkod)))
+        .filter(row => isInLocationScope(row, selectedLocations))
+        .map(row => ({ row, tokens: parseCallNumber(row['yer_numarasi']) }));
+
+    return segmentNames.map(name => {
+        const items = scannedItems.filter(item => item.segment === name);
+        let first = null;
+        let last = null;
+        items.forEach(item => {
+            const callNumber = kohaDataMap.get(item.barcode)?.['yer_numarasi'];
+            if (!callNumber) return;
+            const tokens = parseCallNumber(callNumber);
+            if (!first || compareParsedCallNumbers(tokens, first.tokens) < 0) first = { callNumber, tokens };
+            if (!last || compareParsedCallNumbers(tokens, last.tokens) > 0) last = { callNumber, tokens };
+        });
+        const missing = first
+            ? candidates.filter(({ tokens }) => compareParsedCallNumbers(tokens, first.tokens) >= 0 && compareParsedCallNumbers(tokens, last.tokens) <= 0).map(({ row }) => row)
+            : [];
+        return {
+            name,
+            scanned: items.length,
+            warned: items.filter(item => !item.isValid).length,
+            firstCallNumber: first?.callNumber || '',
+            lastCallNumber: last?.callNumber || '',
+            missing
+        };
+    });
+};
@@ -0,0 +1,42 @@
+// src/serviceWorker.js
+
+// Uygulamanın çevrimdışı çalışması için service worker. Derleme sırasında vite.config.js'deki
+// eklenti bu dosyayı dist/sw.js olarak yazar ve aşağıdaki yer tutucunun yerine derlemedeki
+// tüm dosyaların listesini koyar; liste her derlemede değiştiği için tarayıcı yeni sürümü kurar.
+
+const { version, urls } = __PRECACHE_MANIFEST__;
+const CACHE_NAME = `koha-sayim-${version}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(urls)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('koha-sayim-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Sayfa istekleri: önce ağ (güncel sürüm), ağ yoksa önbellekteki uygulama kabuğu
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => caches.match('/index.html').then(cached => cached || caches.match('/'))));
+        return;
+    }
+
+    // Diğer dosyalar: önce önbellek; önbellekte olmayanlar ağdan alınıp saklanır
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
@@ -0,0 +1,186 @@
+// src/sessionStore.js
+
+// IndexedDB tabanlı oturum deposu.
+// Oturum listesi 'sessions' deposunda, okutma kayıtları ise 'scans' deposunda tek tek tutulur;
+// böylece her okutmada tüm liste yeniden yazılmaz. Sayımın başladığı Koha listesi
+// sıkıştırılmış olarak 'kohaLists' deposunda oturumla birlikte saklanır.
+
+const DB_NAME = 'kohaSayim';
+const DB_VERSION = 2;
+const SESSIONS_STORE = 'sessions';
+const SCANS_STORE = 'scans';
+const KOHA_LISTS_STORE = 'kohaLists';
+const LEGACY_INDEX_KEY = 'kohaInventorySessions';
+const LEGACY_SESSION_PREFIX = 'koha_session_';
+
+let dbPromise = null;
+let migrationPromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException('İşlem iptal edildi.', 'AbortError'));
+});
+
+export const openSessionDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSIONS_STORE)) db.createObjectStore(SESSIONS_STORE, { keyPath: 'name' });
+                if (!db.objectStoreNames.contains(SCANS_STORE)) db.createObjectStore(SCANS_STORE, { keyPath: 'id' }).createIndex('session', 'session');
+                if (!db.objectStoreNames.contains(KOHA_LISTS_STORE)) db.createObjectStore(KOHA_LISTS_STORE, { keyPath: 'session' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+// Okutma kayıtları için sıralanabilir kimlik üretir. Aynı oturumdaki kayıtlar
+// kimlik sırasıyla (eskiden yeniye) okunur. Sondaki rastgele ek, ortak sayımda farklı
+// cihazların aynı anda ürettiği kimliklerin çakışmasını önler.
+let lastIdTime = 0;
+let idSequence = 0;
+const idSuffix = Math.floor(Math.random() * 36 ** 4).toString(36).padStart(4, '0');
+export const createScanId = () => {
+    let now = Date.now();
+    if (now <= lastIdTime) { now = lastIdTime; idSequence++; } else { lastIdTime = now; idSequence = 0; }
+    return now.toString(36).padStart(9, '0') + idSequence.toString(36).padStart(4, '0') + idSuffix;
+};
+
+const updateMeta = async (tx, sessionName, update) => {
+    const store = tx.objectStore(SESSIONS_STORE);
+    const current = (await promisifyRequest(store.get(sessionName))) || { name: sessionName, library: '', locations: [], itemCount: 0 };
+    const next = { ...update(current), name: sessionName, lastUpdated: new Date().toISOString() };
+    store.put(next);
+    return next;
+};
+
+const deleteSessionScans = (tx, sessionName) => new Promise((resolve, reject) => {
+    const request = tx.objectStore(SCANS_STORE).index('session').openKeyCursor(IDBKeyRange.only(sessionName));
+    const scans = tx.objectStore(SCANS_STORE);
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) { resolve(); return; }
+        scans.delete(cursor.primaryKey);
+        cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+});
+
+// Oturum listesini { [isim]: meta } biçiminde döndürür
+export const listSessions = async () => {
+    const db = await openSessionDb();
+    const metas = await promisifyRequest(db.transaction(SESSIONS_STORE).objectStore(SESSIONS_STORE).getAll());
+    return Object.fromEntries(metas.map(meta => [meta.name, meta]));
+};
+
+// Oturum bilgisini ve okutma kayıtlarını (yeniden eskiye) döndürür
+export const loadStoredSession = async (sessionName) => {
+    const db = await openSessionDb();
+    const tx = db.transaction([SESSIONS_STORE, SCANS_STORE]);
+    const meta = await promisifyRequest(tx.objectStore(SESSIONS_STORE).get(sessionName));
+    if (!meta) return null;
+    const records = await promisifyRequest(tx.objectStore(SCANS_STORE).index('session').getAll(IDBKeyRange.only(sessionName)));
+    const items = records.reverse().map(record => { const item = { ...record }; delete item.session; return item; });
+    return { ...meta, items };
+};
+
+export const updateSessionMeta = async (sessionName, patch) => {
+    const db = await openSessionDb();
+    const tx = db.transaction(SESSIONS_STORE, 'readwrite');
+    const done = transactionDone(tx);
+    const meta = await updateMeta(tx, sessionName, current => ({ ...current, ...patch }));
+    await done;
+    return meta;
+};
+
+/**
+ * Okutma kayıtlarındaki değişiklikleri tek işlemde yazar.
+ * changes: { added: kayıtlar (eskiden yeniye), removedIds: silinecek kimlikler, clear: tümünü sil }
+ * Güncellenmiş oturum bilgisini döndürür.
+ */
+export const applyScanChanges = async (sessionName, { added = [], removedIds = [], clear = false }) => {
+    const db = await openSessionDb();
+    const tx = db.transaction([SESSIONS_STORE, SCANS_STORE], 'readwrite');
+    const done = transactionDone(tx);
+    const scans = tx.objectStore(SCANS_STORE);
+    if (clear) await deleteSessionScans(tx, sessionName);
+    removedIds.forEach(id => scans.delete(id));
+    added.forEach(record => scans.put({ ...record, session: sessionName }));
+    const meta = await updateMeta(tx, sessionName, current => ({
+        ...current,
+        itemCount: clear ? added.length : Math.max(0, (current.itemCount || 0) - removedIds.length + added.length)
+    }));
+    await done;
+    return meta;
+};
+
+/**
+ * Oturumun Koha listesini saklar.
+ * list: { fileName, rowCount, fingerprint, encoding, data } — data, worker'ın ürettiği
+ * sıkıştırılmış (encoding: 'gzip') veya düz (encoding: 'json') ArrayBuffer'dır.
+ * Liste bilgisi (veri hariç) oturum bilgisinin 'kohaList' alanına yazılır.
+ */
+export const saveKohaList = async (sessionName, { fileName, rowCount, fingerprint, encoding, data }) => {
+    const db = await openSessionDb();
+    const tx = db.transaction([SESSIONS_STORE, KOHA_LISTS_STORE], 'readwrite');
+    const done = transactionDone(tx);
+    tx.objectStore(KOHA_LISTS_STORE).put({ session: sessionName, encoding, data });
+    const meta = await updateMeta(tx, sessionName, current => ({ ...current, kohaList: { fileName, rowCount, fingerprint, savedAt: new Date().toISOString() } }));
+    await done;
+    return meta;
+};
+
+// Oturumun sıkıştırılmış Koha listesini { encoding, data } olarak döndürür
+export const loadKohaList = async (sessionName) => {
+    const db = await openSessionDb();
+    const record = await promisifyRequest(db.transaction(KOHA_LISTS_STORE).objectStore(KOHA_LISTS_STORE).get(sessionName));
+    return record ? { encoding: record.encoding, data: record.data } : null;
+};
+
+export const deleteStoredSession = async (sessionName) => {
+    const db = await openSessionDb();
+    const tx = db.transaction([SESSIONS_STORE, SCANS_STORE, KOHA_LISTS_STORE], 'readwrite');
+    const done = transactionDone(tx);
+    await deleteSessionScans(tx, sessionName);
+    tx.objectStore(SESSIONS_STORE).delete(sessionName);
+    tx.objectStore(KOHA_LISTS_STORE).delete(sessionName);
+    await done;
+};
+
+// localStorage'daki eski 'kohaInventorySessions' ve 'koha_session_*' kayıtlarını
+// IndexedDB'ye taşır. Taşınan anahtarlar silinir; bu yüzden işlem bir kez çalışır.
+const migrate = async () => {
+    const legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(LEGACY_SESSION_PREFIX));
+    if (legacyKeys.length === 0) { localStorage.removeItem(LEGACY_INDEX_KEY); return; }
+    const db = await openSessionDb();
+    for (const key of legacyKeys) {
+        let session;
+        try { session = JSON.parse(localStorage.getItem(key)); } catch (e) { console.error(`Eski oturum okunamadı (${key}):`, e); continue; }
+        if (!session || !session.name) continue;
+        const items = [...(session.items || [])].reverse().map(item => ({ ...item, id: createScanId(), session: session.name }));
+        const tx = db.transaction([SESSIONS_STORE, SCANS_STORE], 'readwrite');
+        const done = transactionDone(tx);
+        const scans = tx.objectStore(SCANS_STORE);
+        items.forEach(item => scans.put(item));
+        tx.objectStore(SESSIONS_STORE).put({ name: session.name, library: session.library || '', locations: session.locations || (session.location ? [session.location] : []), itemCount: items.length, lastUpdated: session.lastUpdated || new Date().toISOString() });
+        await done;
+        localStorage.removeItem(key);
+    }
+    localStorage.removeItem(LEGACY_INDEX_KEY);
+};
+
+export const migrateLegacySessions = () => {
+    if (!migrationPromise) migrationPromise = migrate();
+    return migrationPromise;
+};
@@ -0,0 +1,99 @@
+// src/syncClient.js
+
+// Ortak sayım sunucusuna (server/syncServer.js) bağlanan istemci. Sunucudan gelen olaylar
+// EventSource ile dinlenir; yerel değişiklikler sıraya alınıp POST ile gönderilir. Gönderilemeyen
+// değişiklikler artan aralıklarla (en çok RETRY_MAX_MS) ve bağlantı yeniden kurulduğunda tekrar denenir. Sunucunun istediği erişim anahtarı
+// POST isteklerinde Authorization başlığıyla, olay akışında (EventSource başlık gönderemez) adreste gönderilir.
+
+const DEVICE_ID_KEY = 'syncDeviceId';
+const RETRY_MIN_MS = 2000;
+const RETRY_MAX_MS = 60000;
+
+// HTTPS sayfası http:// adresine bağlanamaz (localhost hariç); tarayıcının sessizce engellemesi yerine açıkça bildirilir
+const isMixedContent = (serverUrl) => {
+    if (typeof location === 'undefined' || location.protocol !== 'https:') return false;
+    try {
+        const url = new URL(serverUrl);
+        return url.protocol === 'http:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    } catch {
+        return false;
+    }
+};
+
+// Bu cihazın kalıcı kimliği; kendi gönderdiğimiz değişikliklerin geri yansımasını ayırt etmek için
+export const getSyncDeviceId = () => {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+        deviceId = typeof crypto.randomUUID === 'function' ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+};
+
+/**
+ * Oturuma bağlanır. token: sunucunun SYNC_TOKEN erişim anahtarı.
+ * handlers: { onSnapshot({ scans, removedIds }), onChanges({ added, removedIds, clear }), onStatus(durum, mesaj) }
+ *   durum: 'connecting' | 'connected' | 'reconnecting' | 'error'
+ * Dönen nesne: { push(changes), close() }
+ */
+export const connectSync = ({ serverUrl, sessionName, deviceId, token = '' }, { onSnapshot, onChanges, onStatus }) => {
+    if (isMixedContent(serverUrl)) {
+        onStatus('error', 'Uygulama HTTPS ile açıldığı için http:// sunucusuna bağlanılamaz. Sunucuyu SYNC_TLS_CERT ve SYNC_TLS_KEY ile HTTPS olarak başlatıp https:// adresini girin.');
+        return { push() {}, close() {} };
+    }
+    const baseUrl = `${serverUrl.trim().replace(/\/+$/, '')}/sessions/${encodeURIComponent(sessionName)}`;
+    const pending = [];
+    let isFlushing = false;
+    let isClosed = false;
+    let retryTimer = null;
+    let retryDelay = RETRY_MIN_MS;
+
+    const flush = async () => {
+        if (isFlushing || isClosed) return;
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        isFlushing = true;
+        try {
+            while (pending.length > 0 && !isClosed) {
+                const response = await fetch(`${baseUrl}/changes`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                    body: JSON.stringify({ deviceId, ...pending[0] })
+                });
+                if (response.status === 401) throw new Error('erişim anahtarı geçersiz');
+                if (!response.ok) throw new Error(`Sunucu hatası (${response.status})`);
+                pending.shift();
+            }
+            // Önceki gönderim hatası bildirildiyse bağlantı durumu geri getirilir
+            if (retryDelay > RETRY_MIN_MS && source.readyState === EventSource.OPEN) onStatus('connected');
+            retryDelay = RETRY_MIN_MS;
+        } catch (err) {
+            onStatus('error', `Değişiklikler sunucuya gönderilemedi: ${err.message}`);
+            if (!isClosed) {
+                retryTimer = setTimeout(flush, retryDelay);
+                retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+            }
+        } finally {
+            isFlushing = false;
+        }
+    };
+
+    onStatus('connecting');
+    const source = new EventSource(`${baseUrl}/events?token=${encodeURIComponent(token)}`);
+    source.onopen = () => { onStatus('connected'); flush(); };
+    source.onerror = () => {
+        // 401 gibi yanıtlarda EventSource yeniden denemez ve kapanır
+        if (source.readyState === EventSource.CLOSED) onStatus('error', 'Senkronizasyon sunucusuna bağlanılamadı. Adresi ve erişim anahtarını kontrol edin.');
+        else onStatus('reconnecting', 'Senkronizasyon sunucusuna ulaşılamıyor.');
+    };
+    source.addEventListener('snapshot', (e) => onSnapshot(JSON.parse(e.data)));
+    source.addEventListener('changes', (e) => {
+        const changes = JSON.parse(e.data);
+        if (changes.deviceId !== deviceId) onChanges(changes);
+    });
+
+    return {
+        push(changes) { pending.push(changes); flush(); },
+        close() { isClosed = true; clearTimeout(retryTimer); source.close(); }
+    };
+};
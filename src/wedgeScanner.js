@@ -0,0 +1,68 @@
+// src/wedgeScanner.js
+
+// Klavye gibi davranan (HID / Bluetooth) barkod okuyucular için tuş dizisi ayırıcı. Okuyucular bir barkodun
+// karakterlerini birkaç milisaniye arayla gönderir ve çoğunlukla Enter veya Tab ile bitirir; insan yazışı çok
+// daha yavaştır. Tuşlar arası süreye bakılarak okuyucu dizileri insan yazışından ayrılır ve art arda gelen
+// barkodlar birbirine karışmadan tek tek teslim edilir.
+
+export const WEDGE_TERMINATORS = { any: 'Enter veya Tab', enter: 'Enter', tab: 'Tab', none: 'Yok (duraklamayla biter)' };
+const TERMINATOR_KEYS = { any: ['Enter', 'Tab'], enter: ['Enter'], tab: ['Tab'], none: [] };
+
+// maxKeyInterval: okuyucu dizisinde iki tuş arasındaki en uzun süre (ms); minLength: en kısa barkod
+export const DEFAULT_WEDGE_SETTINGS = { enabled: false, terminator: 'any', maxKeyInterval: 40, minLength: 4 };
+
+// Bitiş tuşu olmayan okuyucularda dizinin bittiğine karar vermek için beklenen süre (tuşlar arası sürenin katı)
+const PAUSE_FACTOR = 3;
+
+// Yazı alanı mı? Odak barkod kutusu dışındaki bir yazı alanındaysa tuşlar o alana bırakılır.
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'file', 'color'];
+export const isTextField = (element) => Boolean(element) && (element.isContentEditable
+    || element.tagName === 'TEXTAREA'
+    || element.tagName === 'SELECT'
+    || (element.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes(element.type)));
+
+/**
+ * Tuş olaylarını okuyucu dizilerine ayıran okuyucu oluşturur.
+ * settings: { terminator, maxKeyInterval, minLength }
+ * onCode(code): okuyucudan gelen her barkod için çağrılır
+ * Dönen: { handleKey(key, time), reset() } — handleKey true dönerse tuş bir okuyucu dizisini bitirmiştir ve
+ * varsayılan davranışı (form gönderme, odak değiştirme, düğmeye basma) engellenmelidir.
+ */
+export const createWedgeReader = (settings, onCode) => {
+    const terminators = TERMINATOR_KEYS[settings.terminator] || TERMINATOR_KEYS.any;
+    let buffer = '';
+    let lastTime = 0;
+    let pauseTimer = null;
+
+    const reset = () => {
+        buffer = '';
+        clearTimeout(pauseTimer);
+        pauseTimer = null;
+    };
+    const emit = () => {
+        const code = buffer;
+        reset();
+        onCode(code);
+    };
+    const isScannerBurst = (time) => buffer.length >= settings.minLength && time - lastTime <= settings.maxKeyInterval;
+
+    const handleKey = (key, time) => {
+        if (terminators.includes(key)) {
+            if (isScannerBurst(time)) { emit(); return true; }
+            reset();
+            return false;
+        }
+        if (key.length !== 1) return false;
+        // Yavaş gelen karakter yeni bir dizi başlatır; öncekiler insan yazışıdır
+        if (buffer && time - lastTime > settings.maxKeyInterval) buffer = '';
+        buffer += key;
+        lastTime = time;
+        if (terminators.length === 0) {
+            clearTimeout(pauseTimer);
+            pauseTimer = setTimeout(() => { if (buffer.length >= settings.minLength) emit(); else reset(); }, settings.maxKeyInterval * PAUSE_FACTOR);
+        }
+        return false;
+    };
+
+    return { handleKey, reset };
+};
@@ -0,0 +1,349 @@
+// src/worker.js
+
+import * as XLSX from 'xlsx';
+import Papa from 'papaparse';
+import { BARCODE_PROFILES, validateBarcode } from './barcodeValidation.js';
+import { decodeCsv, detectDelimiter, detectEncoding } from './csvImport.js';
+import { applyColumnMapping } from './columnMapping.js';
+import { parseCollectorRows } from './collectorImport.js';
+import { KBART_PARSE_OPTIONS, dropRowsWithoutBarcode, isKbartText } from './kbartImport.js';
+import { parseMarcFile } from './marcImport.js';
+import { diffKohaLists, reevaluateScans } from './reevaluation.js';
+
+// Worker'ın hafızasında tutulacak olan global değişkenler
+let kohaDataMap = new Map();
+let combinedLibraries = new Map();
+let processedBarcodes = new Set();
+let barcodeProfiles = BARCODE_PROFILES;
+let libraryProfiles = {};
+let libraryWarningRules = {};
+
+
+// Ana component'ten gelen mesajları dinleyen ana fonksiyon
+self.onmessage = function(e) {
+    const { type, payload } = e.data;
+
+    switch (type) {
+        case 'LOAD_EXCEL':
+            handleExcelLoad(payload.file);
+            break;
+        case 'PREVIEW_CSV':
+            handleCsvPreview(payload);
+            break;
+        case 'LOAD_CSV':
+            handleCsvLoad(payload);
+            break;
+        case 'LOAD_MARC':
+            handleMarcLoad(payload);
+            break;
+        case 'LOAD_PACKED':
+            handlePackedLoad(payload);
+            break;
+        case 'PROCESS_BARCODE':
+            processSingleBarcode(payload);
+            break;
+        case 'PROCESS_BULK':
+             processBulkBarcodes(payload);
+            break;
+        case 'PROCESS_BULK_FILE':
+            handleBulkFile(payload);
+            break;
+        case 'PREVIEW_COLLECTOR_FILE':
+            handleCollectorPreview(payload);
+            break;
+        case 'PROCESS_COLLECTOR_FILE':
+            handleCollectorFile(payload);
+            break;
+        case 'REEVALUATE_SCANS':
+            handleReevaluate(payload);
+            break;
+        case 'SET_CONTEXT':
+            // Kütüphane, lokasyon gibi anlık verileri ana thread'den al
+            combinedLibraries = new Map(payload.libraryOptions);
+            processedBarcodes = new Set(payload.processedBarcodes);
+            if (payload.barcodeProfiles) barcodeProfiles = payload.barcodeProfiles;
+            if (payload.libraryProfiles) libraryProfiles = payload.libraryProfiles;
+            if (payload.libraryWarningRules) libraryWarningRules = payload.libraryWarningRules;
+            break;
+        case 'RESET_STATE':
+            // Yeni bir oturum başladığında worker'ın durumunu sıfırla
+            kohaDataMap.clear();
+            processedBarcodes.clear();
+            self.postMessage({ type: 'STATE_RESET' });
+            break;
+    }
+};
+
+// Excel dosyasını işleyen fonksiyon
+function handleExcelLoad(file) {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        try {
+            const data = new Uint8Array(e.target.result);
+            const workbook = XLSX.read(data, { type: 'array' });
+            const sheetName = workbook.SheetNames[0];
+            const worksheet = workbook.Sheets[sheetName];
+            const json = XLSX.utils.sheet_to_json(worksheet);
+
+            if (json.length === 0 || !Object.prototype.hasOwnProperty.call(json[0], 'barkod')) {
+                throw new Error("Yüklenen dosyada 'barkod' sütunu bulunamadı.");
+            }
+
+            await postKohaData(applyColumnMapping(json, null), { fileName: file.name, fingerprint: fingerprintBytes(data) });
+
+        } catch (err) {
+            self.postMessage({ type: 'ERROR', payload: `Dosya okunurken bir hata oluştu: ${err.message}` });
+        }
+    };
+    reader.onerror = () => {
+        self.postMessage({ type: 'ERROR', payload: "Dosya okuma başarısız oldu." });
+    };
+    reader.readAsArrayBuffer(file);
+}
+
+const CSV_PREVIEW_ROWS = 5;
+
+// Dosyayı verilen (ya da tespit edilen) kodlama ve ayırıcıyla metne çevirir.
+// KBART dosyalarında ayırıcı sekmedir ve tırnak işlenmez (parseOptions Papa.parse'a eklenir).
+async function readCsvFile(file, encoding, delimiter) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const detectedEncoding = detectEncoding(bytes);
+    const csvText = decodeCsv(bytes, encoding || detectedEncoding);
+    const format = isKbartText(csvText) ? 'kbart' : 'csv';
+    const detectedDelimiter = format === 'kbart' ? KBART_PARSE_OPTIONS.delimiter : detectDelimiter(csvText);
+    const parseOptions = format === 'kbart' ? { quoteChar: KBART_PARSE_OPTIONS.quoteChar } : {};
+    return { bytes, csvText, format, parseOptions, detectedEncoding, detectedDelimiter, encoding: encoding || detectedEncoding, delimiter: delimiter || detectedDelimiter };
+}
+
+// Yüklemeden önce kullanıcıya gösterilecek ilk satırları hazırlayan fonksiyon
+async function handleCsvPreview({ file, encoding, delimiter }) {
+    try {
+        const { csvText, parseOptions, ...options } = await readCsvFile(file, encoding, delimiter);
+        const { data, meta } = Papa.parse(csvText, { header: true, skipEmptyLines: true, delimiter: options.delimiter, preview: CSV_PREVIEW_ROWS, ...parseOptions });
+        self.postMessage({ type: 'CSV_PREVIEW', payload: { fileName: file.name, format: options.format, encoding: options.encoding, delimiter: options.delimiter, detectedEncoding: options.detectedEncoding, detectedDelimiter: options.detectedDelimiter, fields: meta.fields || [], rows: data } });
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', payload: `Dosya okunurken bir hata oluştu: ${err.message}` });
+    }
+}
+
+// Koha'dan alınan sayım CSV'sini ayrıştıran fonksiyon
+// mapping verilmişse sütunlar uygulamanın alan adlarına çevrilir (bkz. columnMapping.js)
+async function handleCsvLoad({ file, encoding, delimiter, mapping, refresh }) {
+    try {
+        const { bytes, csvText, parseOptions, ...options } = await readCsvFile(file, encoding, delimiter);
+        const fingerprint = fingerprintBytes(bytes);
+        const rows = [];
+        let fields = [];
+
+        // Büyük dosyalarda ilerlemeyi bildirebilmek için parça parça ayrıştır
+        Papa.parse(csvText, {
+            header: true,
+            skipEmptyLines: true,
+            delimiter: options.delimiter,
+            ...parseOptions,
+            chunkSize: 1024 * 1024,
+            chunk: (results) => {
+                if (fields.length === 0) fields = results.meta.fields || [];
+                for (const row of results.data) rows.push(row);
+                self.postMessage({ type: 'CSV_PROGRESS', payload: { current: Math.round((results.meta.cursor / csvText.length) * 100), total: 100, unit: '%' } });
+            },
+        });
+
+        if (rows.length === 0 || !fields.includes(mapping?.barkod || 'barkod')) {
+            throw new Error("Yüklenen CSV dosyasında 'barkod' sütunu bulunamadı veya dosya boş.");
+        }
+        const mappedRows = options.format === 'kbart' ? dropRowsWithoutBarcode(applyColumnMapping(rows, mapping)) : applyColumnMapping(rows, mapping);
+        if (mappedRows.length === 0) {
+            throw new Error(`KBART dosyasında '${mapping.barkod}' sütunu dolu satır bulunamadı.`);
+        }
+        await postKohaData(mappedRows, { fileName: file.name, fingerprint }, refresh);
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', payload: `Dosya okunurken bir hata oluştu: ${err.message}` });
+    }
+}
+
+// Koha'nın MARC / MARCXML dışa aktarımını 952 materyal alanlarından satırlara çeviren fonksiyon
+async function handleMarcLoad({ file, refresh }) {
+    try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const fingerprint = fingerprintBytes(bytes);
+        const rows = parseMarcFile(bytes);
+        if (rows.length === 0) {
+            throw new Error("Yüklenen MARC dosyasında barkodlu materyal (952 $p) bulunamadı.");
+        }
+        await postKohaData(rows, { fileName: file.name, fingerprint }, refresh);
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', payload: `Dosya okunurken bir hata oluştu: ${err.message}` });
+    }
+}
+
+// Oturumla birlikte saklanan sıkıştırılmış Koha listesini geri yükleyen fonksiyon
+async function handlePackedLoad(packed) {
+    try {
+        const rows = await unpackRows(packed);
+        await postKohaData(rows, null);
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', payload: `Kayıtlı Koha listesi açılamadı: ${err.message}` });
+    }
+}
+
+// Dosya içeriğinden kısa bir parmak izi üretir (FNV-1a, 32 bit + boyut).
+// Aynı oturuma farklı bir dosya yüklendiğini anlamak için kullanılır.
+function fingerprintBytes(bytes) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${bytes.length.toString(36)}-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+// Satırları oturumla saklanmak üzere JSON'a çevirip gzip ile sıkıştırır.
+// CompressionStream desteklenmiyorsa düz JSON saklanır.
+async function packRows(rows) {
+    const blob = new Blob([JSON.stringify(rows)], { type: 'application/json' });
+    if (typeof CompressionStream === 'undefined') return { encoding: 'json', data: await blob.arrayBuffer() };
+    const compressed = blob.stream().pipeThrough(new CompressionStream('gzip'));
+    return { encoding: 'gzip', data: await new Response(compressed).arrayBuffer() };
+}
+
+async function unpackRows({ encoding, data }) {
+    const blob = new Blob([data]);
+    const text = encoding === 'gzip'
+        ? await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+        : await blob.text();
+    return JSON.parse(text);
+}
+
+// Veriyi hızlı arama için Map'e dönüştürüp ana thread'e gönderir.
+// Liste ve Map aynı mesajda gönderildiği için satır nesneleri iki kez kopyalanmaz.
+// Yeni yüklenen dosyalar (source verilmişse) oturumda saklanmak üzere sıkıştırılır.
+// Sayım sırasında liste yenileniyorsa (refresh) önceki listeyle farkları da gönderilir.
+async function postKohaData(json, source, refresh = false) {
+    const previousMap = kohaDataMap;
+    kohaDataMap = new Map(json.map(item => [String(item.barkod), item]));
+    const packed = source ? await packRows(json) : null;
+    const listDiff = refresh ? diffKohaLists(previousMap, kohaDataMap) : null;
+    const payload = { count: kohaDataMap.size, kohaData: json, kohaDataMap, source: source ? { ...source, rowCount: json.length } : null, packed, listDiff };
+    self.postMessage({ type: 'DATA_READY', payload }, packed ? [packed.data] : []);
+}
+
+// Toplu yükleme dosyasından (.txt/.xlsx) barkodları çıkarıp işleyen fonksiyon
+async function handleBulkFile({ file, ...context }) {
+    try {
+        const buffer = await file.arrayBuffer();
+        const fileExtension = file.name.split('.').pop().toLowerCase();
+        let barcodes = [];
+        if (fileExtension === 'txt') {
+            const textData = new TextDecoder('utf-8').decode(buffer);
+            barcodes = textData.split(/\r?\n/).filter(line => line.trim() !== '');
+        } else if (['xlsx', 'xls'].includes(fileExtension)) {
+            const workbook = XLSX.read(buffer, { type: 'array' });
+            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+            const json = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+            barcodes = json.map(row => row[0]).filter(barcode => barcode != null && String(barcode).trim() !== '');
+        } else {
+            throw new Error("Lütfen geçerli bir .txt veya .xlsx dosyası yükleyin.");
+        }
+        processBulkBarcodes({ ...context, barcodes });
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', payload: `Toplu yükleme sırasında hata: ${err.message}` });
+    }
+}
+
+const COLLECTOR_PREVIEW_ROWS = 5;
+
+// Veri toplayıcı dökümünü sütun dizilerine çevirir: metin dosyaları verilen ayırıcıyla, Excel dosyaları
+// ilk sayfadan okunur (tarih hücreleri Date olarak gelir)
+async function readCollectorRows(file, delimiter) {
+    const fileExtension = file.name.split('.').pop().toLowerCase();
+    if (['xlsx', 'xls'].includes(fileExtension)) {
+        const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+        return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, blankrows: false });
+    }
+    const { csvText } = await readCsvFile(file, null, delimiter);
+    return Papa.parse(csvText, { delimiter: delimiter || undefined, skipEmptyLines: true }).data;
+}
+
+// Sütun düzeninin ayarlanabilmesi için dökümün ilk satırlarını hazırlayan fonksiyon
+async function handleCollectorPreview({ file, delimiter }) {
+    try {
+        const rows = await readCollectorRows(file, delimiter);
+        if (rows.length === 0) throw new Error("Dosya boş.");
+        const previewRows = rows.slice(0, COLLECTOR_PREVIEW_ROWS + 1);
+        const columnCount = Math.max(...previewRows.map(row => row.length));
+        self.postMessage({ type: 'COLLECTOR_PREVIEW', payload: { fileName: file.name, rowCount: rows.length, columnCount, rows: previewRows } });
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', payload: `Veri toplayıcı dosyası okunurken hata: ${err.message}` });
+    }
+}
+
+// Veri toplayıcı dökümündeki okutmaları asıl zamanlarıyla işleyen fonksiyon
+async function handleCollectorFile({ file, layout, ...context }) {
+    try {
+        const { records, undatedCount } = parseCollectorRows(await readCollectorRows(file, layout.delimiter), layout);
+        if (records.length === 0) throw new Error("Seçilen barkod sütununda barkod bulunamadı.");
+        processScanRecords(records, context, { undatedCount });
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', payload: `Veri toplayıcı dosyası içe aktarılırken hata: ${err.message}` });
+    }
+}
+
+// Kayıtlı okutmaların uyarılarını worker'daki güncel Koha listesine göre yeniden hesaplayan fonksiyon
+function handleReevaluate({ scannedItems, selectedLibrary, selectedLocations, checkShelfOrder }) {
+    try {
+        const context = { selectedLibrary, selectedLocations, checkShelfOrder, kohaDataMap, libraries: combinedLibraries, profiles: barcodeProfiles, libraryProfiles, libraryWarningRules };
+        const result = reevaluateScans(scannedItems, context, (current, total) => self.postMessage({ type: 'BULK_PROGRESS', payload: { current, total } }));
+        self.postMessage({ type: 'SCANS_REEVALUATED', payload: result });
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', payload: `Uyarılar yeniden hesaplanırken hata: ${err.message}` });
+    }
+}
+
+// Tek bir barkodu işleyen fonksiyon
+function processSingleBarcode(payload) {
+    const result = processBarcodeLogic(payload);
+    if(result) {
+      self.postMessage({ type: 'BARCODE_PROCESSED', payload: result });
+    }
+}
+
+// Toplu barkod listesini işleyen fonksiyon
+function processBulkBarcodes(payload) {
+    processScanRecords(payload.barcodes.map(barcode => ({ barcode })), payload);
+}
+
+// Okutma kayıtlarını dosyadaki sırayla işleyen fonksiyon. Veri toplayıcı kayıtlarındaki zaman ve segment
+// sonuca taşınır; lokasyonu olan kaydın yer kontrolü sayımın lokasyonları yerine o lokasyona göre yapılır.
+function processScanRecords(records, payload, summary = {}) {
+    const results = [];
+    const registered = [];
+    const { checkShelfOrder } = payload;
+    // Raf sırası kontrolünde her barkod dosyadaki bir önceki materyalle karşılaştırılır
+    let previousCallNumber = checkShelfOrder ? payload.previousCallNumber : null;
+    self.postMessage({ type: 'BULK_PROGRESS', payload: { current: 0, total: records.length } });
+    records.forEach(({ barcode, timestamp, location, segment }, index) => {
+        const result = processBarcodeLogic({ ...payload, barcode, previousCallNumber, ...(location && { selectedLocations: [location] }) });
+        if(result) {
+            results.push({ ...result, ...(timestamp && { timestamp }), ...(location && { location }), ...(segment && { segment }) });
+            if (checkShelfOrder && result.data?.['yer_numarasi']) previousCallNumber = result.data['yer_numarasi'];
+            if (result.registeredBarcode) registered.push(result.registeredBarcode);
+        }
+        // İlerleme durumunu ana thread'e gönder
+        if ((index + 1) % 100 === 0 || index + 1 === records.length) {
+            self.postMessage({ type: 'BULK_PROGRESS', payload: { current: index + 1, total: records.length } });
+        }
+    });
+    // Ana thread'in işlenen barkod kümesini güncel tutabilmesi için eklenen anahtarlar da gönderilir
+    self.postMessage({ type: 'BULK_PROCESSED', payload: { results, registered, ...summary } });
+}
+
+
+// Ortak doğrulama modülünü worker'ın durumuyla çağıran fonksiyon
+function processBarcodeLogic({ barcode, selectedLibrary, selectedLocations, previousCallNumber }) {
+    const result = validateBarcode(barcode, { selectedLibrary, selectedLocations, previousCallNumber, kohaDataMap, libraries: combinedLibraries, processedBarcodes, profiles: barcodeProfiles, libraryProfiles, libraryWarningRules });
+    // ISBN'ler canlı okutmada olduğu gibi kayda eklenmez
+    if (result.outcome === 'ignored' || result.outcome === 'isbn') return null;
+    if (result.register) processedBarcodes.add(result.normalizedBarcode); // İşlenen barkodu sete ekle
+    return { barcode: result.barcode, isValid: result.isValid, warnings: result.warnings, data: result.data, timestamp: new Date().toISOString(), registeredBarcode: result.register ? result.normalizedBarcode : null };
+}
@@ -1,7 +1,23 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+// Derlemedeki tüm dosyaları önbelleğe alan service worker'ı (dist/sw.js) üretir.
+// public/ klasöründeki dosyalar da listeye eklenir.
+const serviceWorkerPlugin = () => ({
+  name: 'koha-sayim-service-worker',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const publicFiles = readdirSync('public', { withFileTypes: true }).filter(entry => entry.isFile()).map(entry => entry.name)
+    const urls = ['/', '/index.html', ...Object.keys(bundle), ...publicFiles].map(file => (file.startsWith('/') ? file : `/${file}`))
+    const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync('src/serviceWorker.js', 'utf8').replace('__PRECACHE_MANIFEST__', JSON.stringify({ version, urls }))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPlugin()],
 })